@@ -5,9 +5,96 @@
  * @property {'outerHTML'|'innerHTML'} [defaultSwapOption='innerHTML'] - Default swap method.
  * @property {Function} [onError] - Callback function for handling errors.
  * @property {Function|string} [csrfToken] - CSRF token value or function returning the token.
+ * @property {string[]} [allowedOrigins] - Other origins requests may go to, without credentials or sensitive headers.
+ * @property {string[]} [trustedOrigins] - Other origins requests may go to with credentials and sensitive headers.
+ * @property {string[]} [sensitiveHeaders=['X-CSRF-Token', 'Authorization']] - Headers only sent to the own and trusted origins.
+ * @property {Object<string, string|Function>} [headers] - Headers sent with every request, values are strings or functions receiving the element.
+ * @property {HeaderPolicy} [headerPolicy] - Which x-* attributes are sent as request headers.
  * @property {boolean} [autoFocus=false] - Whether to auto-focus the target element after content update.
  * @property {number} [debounceTime=0] - Debounce time in milliseconds for event handlers.
  * @property {Function} [onBeforeSwap] - Callback function before swapping content.
+ * @property {RetryPolicy} [retry] - Global retry policy, overridable per element with x-retry.
+ * @property {CacheOptions} [cache] - Global response cache settings, overridable per element with x-cache.
+ * @property {HistoryCacheOptions} [historyCache] - Snapshots restored on back/forward navigation.
+ * @property {number} [prefetchTtl=10000] - Time in milliseconds an unused prefetched response is kept.
+ * @property {Object|boolean} [offline] - Enables the offline write queue (requires partial.offline.js), see offlineConfig.
+ * @property {boolean} [transitions=false] - Whether swaps are animated by default, overridable per element with x-transition.
+ * @property {number} [swapDelay=0] - Time in milliseconds the old content keeps the x-swapping class before the swap, without View Transitions.
+ * @property {number} [settleDelay=20] - Time in milliseconds new content keeps the x-settling class, without View Transitions.
+ * @property {boolean} [allowScripts=false] - Whether scripts in swapped content run, overridable per element with x-scripts.
+ * @property {Function|string} [cspNonce] - CSP nonce value or function returning the nonce, applied to the scripts that run.
+ * @property {boolean|Function|{sanitize: Function}} [sanitizer] - Sanitizes all swapped HTML: true for the built-in HtmlSanitizer,
+ *           or an external sanitizer as function or object with a sanitize method, receiving and returning an HTML string.
+ * @property {string|false} [trustedTypesPolicy='partial'] - Name of the Trusted Types policy created for DOM sinks when a sanitizer is set, false to create none.
+ * @property {'append'|'merge'|'title'|'none'} [headMerge='title'] - How the <head> of responses is merged, overridable per element with x-head.
+ * @property {'brackets'|'dots'|'json'} [paramsEncoding='brackets'] - How nested x-params objects and arrays are encoded in query strings and form data.
+ * @property {Object<string, StatusRule|boolean>} [statusMap] - How error responses are handled, keyed by status ("422"), class ("5xx") or "error".
+ */
+
+/**
+ * @typedef {Object} HeaderPolicy
+ * @property {string[]|null} [allow=null] - Attributes sent as headers, including Partial's own; no attribute is sent unless listed here.
+ * @property {string[]} [deny=[]] - Attributes never sent as headers.
+ */
+
+/**
+ * @typedef {Object} StatusRule
+ * @property {boolean} [swap=true] - Whether the response is swapped instead of being handled as an error.
+ * @property {string} [target] - Selector of the element the response is swapped into, defaults to the request target.
+ * @property {string} [swapOption] - The swap method, defaults to the element's x-swap.
+ */
+
+/**
+ * @typedef {Object} RetryPolicy
+ * @property {number} [retries=1] - Number of retries after the first attempt.
+ * @property {number} [baseDelay=300] - Delay in milliseconds before the first retry, doubled on each further retry.
+ * @property {number} [maxDelay=10000] - Upper bound in milliseconds for any retry delay, including Retry-After.
+ * @property {number} [jitter=0.5] - Fraction (0-1) of the delay that is randomly subtracted.
+ * @property {number[]} [retryOn=[502, 503, 504]] - HTTP status codes that are retried.
+ * @property {boolean} [retryNetworkErrors=true] - Whether network errors and timeouts are retried.
+ * @property {boolean} [respectRetryAfter=true] - Whether a Retry-After response header replaces the computed delay.
+ */
+
+/**
+ * @typedef {Object} CacheOptions
+ * @property {boolean} [enabled=false] - Whether GET responses are cached without an x-cache attribute.
+ * @property {number} [ttl=30000] - Time in milliseconds a cached response is served without revalidation.
+ * @property {boolean} [staleWhileRevalidate=false] - Whether expired responses are rendered while being revalidated.
+ * @property {number} [maxEntries=100] - Maximum number of cached responses, least recently used are evicted first.
+ */
+
+/**
+ * @typedef {Object} HistoryCacheOptions
+ * @property {boolean} [enabled=true] - Whether snapshots are taken, without them back/forward navigation requests the page again.
+ * @property {number} [maxEntries=10] - Maximum number of snapshots, least recently used are evicted first.
+ * @property {boolean} [revalidate=true] - Whether a restored snapshot is replaced with a fresh response in the background.
+ * @property {string} [storageKey='partial-history'] - Prefix of the sessionStorage keys.
+ */
+
+/**
+ * @typedef {Object} HistorySnapshot
+ * @property {string} partialId - The id of the element the snapshot was taken of.
+ * @property {string} url - The URL of the history entry.
+ * @property {string} html - The outer HTML of the element.
+ * @property {string} title - The document title.
+ * @property {number} scrollX - The horizontal scroll offset of the window.
+ * @property {number} scrollY - The vertical scroll offset of the window.
+ * @property {number} scrollTop - The vertical scroll offset of the element.
+ * @property {number} scrollLeft - The horizontal scroll offset of the element.
+ */
+
+/**
+ * @typedef {Object} NavigationContext
+ * @property {AbortSignal|null} signal - The signal of the request that started the navigation.
+ * @property {number} hops - The number of X-Location headers followed so far.
+ */
+
+/**
+ * @typedef {Object} DomSnapshot
+ * @property {Node} container - The node whose children the swap changed.
+ * @property {Node[]} removed - The nodes the swap removed from the container.
+ * @property {Node[]} inserted - The nodes the swap inserted into the container.
+ * @property {Node|null} next - The node that followed the removed nodes.
  */
 
 /**
@@ -27,6 +114,11 @@
  * @property {string} targetSelector - The CSS selector for the target element.
  * @property {string} partialId - The ID of the target element.
  * @property {Object} paramsObject - Additional parameters.
+ * @property {HTMLElement|null} [submitter] - The button that submitted the element's form, whose name and value are sent.
+ * @property {AbortSignal} [signal] - Signal used to cancel the request.
+ * @property {Object} [prefetch] - Prefetch entry the response is handed to, if the request only warms it for a later action.
+ * @property {boolean} [stream] - Whether the Response is returned unread, for x-stream.
+ * @property {RequestCredentials} [credentials] - The credentials mode, set by the origin policy.
  */
 
 /**
@@ -72,6 +164,33 @@ class Partial {
             UPLOAD:          'x-upload',
             UPLOAD_DROPZONE: 'x-upload-dropzone',
             UPLOAD_INPUT:    'x-upload-input',
+            SYNC:            'x-sync',
+            CACHE:           'x-cache',
+            PREFETCH:        'x-prefetch',
+            OFFLINE:         'x-offline',
+            OPTIMISTIC:      'x-optimistic',
+            HOTKEY:          'x-hotkey',
+            HOTKEY_SCOPE:    'x-hotkey-scope',
+            HOTKEY_EDITABLE: 'x-hotkey-editable',
+            STREAM:          'x-stream',
+            PRESERVE:        'x-preserve',
+            TRANSITION:      'x-transition',
+            HEAD:            'x-head',
+            SCRIPTS:         'x-scripts',
+            EXECUTED:        'x-executed',
+            PENDING_SCRIPT:  'x-pending-script',
+            BOOST:           'x-boost',
+            PUSH_PARAMS:     'x-push-params',
+            INCLUDE:         'x-include',
+            EXCLUDE:         'x-exclude',
+            HISTORY:         'x-history',
+        };
+
+        this.SYNC_STRATEGIES = {
+            ABORT:   'abort',
+            DROP:    'drop',
+            QUEUE:   'queue',
+            REPLACE: 'replace',
         };
 
         this.SERIALIZE_TYPES = {
@@ -91,18 +210,85 @@ class Partial {
             this.ATTRIBUTES.TIMEOUT,
             this.ATTRIBUTES.FOCUS,
             this.ATTRIBUTES.DEBOUNCE,
+            this.ATTRIBUTES.SYNC,
+            this.ATTRIBUTES.CACHE,
+            this.ATTRIBUTES.OFFLINE,
+            this.ATTRIBUTES.TRANSITION,
+            this.ATTRIBUTES.HEAD,
+            this.ATTRIBUTES.SCRIPTS,
+            this.ATTRIBUTES.BOOST,
+            this.ATTRIBUTES.PUSH_PARAMS,
+            this.ATTRIBUTES.INCLUDE,
+            this.ATTRIBUTES.EXCLUDE,
+            this.ATTRIBUTES.HISTORY,
         ];
 
         // Store options with default values
         this.onError           = options.onError || null;
         this.csrfToken         = options.csrfToken || null;
+        this.allowedOrigins    = options.allowedOrigins || [];
+        this.trustedOrigins    = options.trustedOrigins || [];
+        this.sensitiveHeaders  = options.sensitiveHeaders || ['X-CSRF-Token', 'Authorization'];
+        this.defaultHeaders    = options.headers || {};
+        this.headerPolicy      = {
+            allow: null,
+            deny:  [],
+            ...(options.headerPolicy || {}),
+        };
         this.defaultSwapOption = options.defaultSwapOption || 'innerHTML';
         this.autoFocus         = options.autoFocus !== undefined ? options.autoFocus : false;
         this.debounceTime      = options.debounceTime || 0;
+        this.retryPolicy       = {
+            retries:            1,
+            baseDelay:          300,
+            maxDelay:           10000,
+            jitter:             0.5,
+            retryOn:            [502, 503, 504],
+            retryNetworkErrors: true,
+            respectRetryAfter:  true,
+            ...(options.retry || {}),
+        };
+        this.cacheOptions      = {
+            enabled:              false,
+            ttl:                  30000,
+            staleWhileRevalidate: false,
+            maxEntries:           100,
+            ...(options.cache || {}),
+        };
+        this.prefetchTtl       = options.prefetchTtl || 10000;
+        this.historyOptions    = {
+            enabled:    true,
+            maxEntries: 10,
+            revalidate: true,
+            storageKey: 'partial-history',
+            ...(options.historyCache || {}),
+        };
+        this.statusMap         = options.statusMap || {};
+        this.paramsEncoding    = options.paramsEncoding || 'brackets';
+        this.transitions       = options.transitions || false;
+        this.swapDelay         = options.swapDelay || 0;
+        this.settleDelay       = options.settleDelay !== undefined ? options.settleDelay : 20;
+        this.headMerge         = options.headMerge || 'title';
+        this.allowScripts      = options.allowScripts || false;
+        this.cspNonce          = options.cspNonce || null;
+        this.sanitizer         = options.sanitizer === true ? new HtmlSanitizer({ createHTML: html => this.trustInertHTML(html) }) : (options.sanitizer || null);
+        this.trustedTypesPolicyName = options.trustedTypesPolicy !== undefined ? options.trustedTypesPolicy : 'partial';
+        this.trustedTypesPolicy     = undefined;
+        this.parsingInertHTML       = false;
 
         this.eventTarget    = new EventTarget();
         this.eventListeners = {};
 
+        // Named predicates usable in x-trigger filters, e.g. keyup[enter]
+        this.triggerFilters = {};
+
+        // Named value providers usable in x-headers, e.g. {"X-Tab-Id": "$tabId"}
+        this.headerValues = {};
+
+        // Registered x-hotkey bindings and the recent keys used to match sequences
+        this.hotkeyBindings = [];
+        this.hotkeyBuffer   = [];
+
         // Store hooks in a single object
         this.hooks = {
             onAction      : [],
@@ -115,6 +301,32 @@ class Partial {
         this.middleware = [];
         // Map to store SSE connections per element
         this.sseConnections = new Map();
+        // In-flight requests and their per-scope synchronization lanes
+        this.activeRequests  = new Set();
+        this.syncLanes       = new Map();
+        this.requestObserver = null;
+        // In-memory cache for GET responses
+        this.cache = new ResponseCache(this.cacheOptions.maxEntries);
+        // Prefetched responses waiting to be used, keyed like the response cache
+        this.prefetches = new Map();
+        // Snapshots of the history entries, and the entry currently shown
+        this.historyCache = this.historyOptions.enabled
+            ? new HistoryCache(this.historyOptions.storageKey, this.historyOptions.maxEntries)
+            : null;
+        this.currentHistoryKey = history.state && history.state.snapshotKey || null;
+        this.currentHistoryUrl = window.location.href;
+        // Cancels the request of the last back/forward navigation once another one starts
+        this.historyRestoreController = null;
+        // Queue for write requests made while offline
+        this.offlineQueue = null;
+        if (options.offline) {
+            if (typeof PartialOfflineQueue === 'undefined') {
+                console.error('partial.offline.js is required for the offline option');
+            } else {
+                const offlineConfig = typeof options.offline === 'object' ? options.offline : {};
+                this.offlineQueue = new PartialOfflineQueue({ ...offlineConfig, partial: this });
+            }
+        }
 
         // Bind methods to ensure correct 'this' context
         this.scanForElements            = this.scanForElements.bind(this);
@@ -123,7 +335,14 @@ class Partial {
         this.setupSSEElementAlt         = this.setupSSEElementAlt.bind(this);
         this.setupInfiniteScroll        = this.setupInfiniteScroll.bind(this);
         this.stopInfiniteScroll         = this.stopInfiniteScroll.bind(this);
+        this.setupPolling               = this.setupPolling.bind(this);
+        this.stopPolling                = this.stopPolling.bind(this);
         this.handleAction               = this.handleAction.bind(this);
+        this.executeAction              = this.executeAction.bind(this);
+        this.abort                      = this.abort.bind(this);
+        this.hotkeys                    = this.hotkeys.bind(this);
+        this.handleHotkey               = this.handleHotkey.bind(this);
+        this.prefetch                   = this.prefetch.bind(this);
         this.handleOobSwapping          = this.handleOobSwapping.bind(this);
         this.handlePopState             = this.handlePopState.bind(this);
         this.handleInfiniteScrollAction = this.handleInfiniteScrollAction.bind(this);
@@ -135,6 +354,8 @@ class Partial {
         this.getMethod                  = this.getMethod.bind(this);
         this.getHeaders                 = this.getHeaders.bind(this);
         this.addHook                    = this.addHook.bind(this);
+        this.addTriggerFilter           = this.addTriggerFilter.bind(this);
+        this.addHeaderValue             = this.addHeaderValue.bind(this);
         this.runHooks                   = this.runHooks.bind(this);
         this.use                        = this.use.bind(this);
         this.prepareRequestBody         = this.prepareRequestBody.bind(this);
@@ -151,10 +372,16 @@ class Partial {
 
             partial.scanForElements();
             partial.runHooks('afterSettle', { obj, document }).then(r => {});
+
+            // Filters bookmarked with x-push-params are applied from the URL
+            this.restorePushParams();
         });
 
         // Listen for popstate events
         window.addEventListener('popstate', this.handlePopState);
+
+        // Listen for x-hotkey shortcuts
+        document.addEventListener('keydown', this.handleHotkey);
     }
 
 
@@ -191,6 +418,32 @@ class Partial {
         }
     }
 
+    /**
+     * Registers a named predicate that x-trigger filters can reference, e.g. keyup[enter].
+     * @param {string} name - Name of the filter.
+     * @param {Function} predicate - Receives the event and the element, returns whether the trigger fires.
+     */
+    addTriggerFilter(name, predicate) {
+        if (typeof predicate === 'function') {
+            this.triggerFilters[name] = predicate;
+        } else {
+            console.error(`addTriggerFilter expects a function for filter '${name}'`);
+        }
+    }
+
+    /**
+     * Registers a named value provider that x-headers can reference, e.g. {"X-Tab-Id": "$tabId"}.
+     * @param {string} name - Name of the value, referenced with a leading $.
+     * @param {Function} provider - Receives the element, returns the header value, or null to omit the header.
+     */
+    addHeaderValue(name, provider) {
+        if (typeof provider === 'function') {
+            this.headerValues[name] = provider;
+        } else {
+            console.error(`addHeaderValue expects a function for value '${name}'`);
+        }
+    }
+
     /**
      * Adds middleware to the chain.
      * @param {Function} middleware
@@ -264,6 +517,18 @@ class Partial {
         uploadElements.forEach(element => {
             this.setupElement(element);
         });
+
+        // scan for plain links and forms inside x-boost containers
+        const boostSelector = `[${this.ATTRIBUTES.BOOST}]`;
+        const boostElements = container.querySelectorAll(
+            `${boostSelector} a[href], ${boostSelector} form, a[href]${boostSelector}, form${boostSelector}`
+        );
+        boostElements.forEach(element => {
+            if (this.isBoostable(element)) {
+                element.__xBoosted = true;
+                this.setupElement(element);
+            }
+        });
     }
 
     // SSE Methods
@@ -283,7 +548,15 @@ class Partial {
             return;
         }
 
-        const eventSource = new EventSource(sseUrl);
+        let originPolicy;
+        try {
+            originPolicy = this.checkOrigin(sseUrl, element);
+        } catch (error) {
+            this.handleError(error, element);
+            return;
+        }
+
+        const eventSource = new EventSource(sseUrl, { withCredentials: originPolicy.credentials === 'include' });
 
         eventSource.onmessage = (event) => {
             this.handleSSEMessage(event, element).catch(error => {
@@ -330,6 +603,7 @@ class Partial {
         const signal = controller.signal;
 
         try {
+            const originPolicy = this.checkOrigin(sseUrl, element);
             const response = await fetch(sseUrl, {
                 method: 'POST',
                 headers: {
@@ -337,6 +611,7 @@ class Partial {
                     'Cache-Control': 'no-cache',
                     'X-Accel-Buffering': 'no'
                 },
+                credentials: originPolicy.credentials,
                 signal
             });
 
@@ -419,7 +694,25 @@ class Partial {
             /** @type {SseMessage} */
             const data = JSON.parse(event.data);
 
+            // Parse into a template, which keeps leading <script> and <style> tags in place
+            const template = document.createElement('template');
+            template.innerHTML = this.trustInertHTML(data.content || '');
+
+            const scriptToken = this.shouldRunScripts(element) ? this.markScripts(template.content) : null;
+
+            // Extract OOB elements, a message may consist of nothing else
+            const oobElements = this.extractOobElements(template.content);
+
             const targetSelector = data.xTarget
+            if (!targetSelector && oobElements.length > 0) {
+                this.handleOobSwapping(oobElements);
+                if (scriptToken) {
+                    await this.runPendingScripts(scriptToken);
+                }
+                this.dispatchEvent('sseContentReplaced', { targetElement: null, data, element });
+                return;
+            }
+
             const targetElement = document.querySelector(targetSelector);
 
             if (!targetElement || !document.body.contains(targetElement)) {
@@ -430,7 +723,14 @@ class Partial {
             // Decide swap method
             const swapOption = data.xSwap || this.defaultSwapOption;
 
-            this.performSwap(targetElement, data.content, swapOption);
+            this.performSwap(targetElement, template.innerHTML, swapOption);
+
+            // Handle OOB swapping with the extracted OOB elements
+            this.handleOobSwapping(oobElements);
+
+            if (scriptToken) {
+                await this.runPendingScripts(scriptToken);
+            }
 
             // Optionally focus the target element
             const focusEnabled = data.xFocus !== 'false';
@@ -519,1115 +819,5295 @@ class Partial {
             });
         }, elementDebounceTime);
 
-        // Event handler that calls preventDefault immediately
-        const handler = (event) => {
-            event.preventDefault();
-            debouncedHandleAction(event);
-        };
+        // Attach every trigger of the x-trigger value
+        const triggerSpecs = TriggerParser.parse(trigger);
+        if (triggerSpecs.length === 0) {
+            console.warn(`Invalid x-trigger value '${trigger}' on element:`, element);
+        }
+        triggerSpecs.forEach(spec => this.setupTrigger(element, spec, debouncedHandleAction));
 
-        element.addEventListener(trigger, handler);
+        // Fire the action from a keyboard shortcut if x-hotkey is set
+        if (element.hasAttribute(this.ATTRIBUTES.HOTKEY)) {
+            this.registerHotkey(element);
+        }
+
+        // Warm the response ahead of the trigger if x-prefetch is set
+        if (element.hasAttribute(this.ATTRIBUTES.PREFETCH)) {
+            this.setupPrefetch(element);
+        }
 
         // Mark the element as initialized
         element.__xRequestHandlerInitialized = true;
     }
 
-    // Infinite Scroll Methods
-    // -----------------------
+    // Trigger Methods
+    // ---------------
 
     /**
-     * Sets up infinite scroll on an element.
-     * @param {HTMLElement} parentElement
+     * Attaches a single parsed trigger to an element.
+     * @param {HTMLElement} element
+     * @param {Object} spec - Trigger spec from TriggerParser.
+     * @param {Function} fire - Runs the element's action.
      */
-    setupInfiniteScroll(parentElement) {
-        // Check if infinite scroll has been stopped
-        if (parentElement.__infiniteScrollStopped) {
+    setupTrigger(element, spec, fire) {
+        if (spec.event === 'every') {
+            const interval = this.parseDuration(spec.interval);
+            if (interval) {
+                this.setupPolling(element, interval);
+            } else {
+                console.warn(`Invalid polling interval '${spec.interval}' in x-trigger on element:`, element);
+            }
             return;
         }
 
-        // Create or find the sentinel element
-        let sentinel = parentElement.__sentinelElement;
-        if (!sentinel) {
-            sentinel = document.createElement('div');
-            sentinel.classList.add('infinite-scroll-sentinel');
-            parentElement.parentNode.insertBefore(sentinel, parentElement.nextSibling);
-            parentElement.__sentinelElement = sentinel;
-        }
+        const sources = spec.event === 'load' || spec.event === 'revealed' || spec.event === 'intersect'
+            ? []
+            : this.getTriggerSources(element, spec.from);
 
-        // Set up Intersection Observer on the sentinel
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    // Unobserve to prevent multiple triggers
-                    observer.unobserve(sentinel);
-                    // Execute the action
-                    this.handleInfiniteScrollAction(parentElement).catch(error => {
-                        this.handleError(error, parentElement);
-                    });
-                }
-            });
+        const handler = this.createTriggerHandler(element, spec, fire, () => {
+            sources.forEach(source => source.removeEventListener(spec.event, handler));
         });
 
-        observer.observe(sentinel);
+        switch (spec.event) {
+            case 'load':
+                // Wait until elements initialized inside a fragment have been inserted
+                setTimeout(() => {
+                    if (element.isConnected) {
+                        handler(new CustomEvent('load'));
+                    }
+                }, 0);
+                break;
 
-        // Store the observer reference
-        parentElement.__infiniteScrollObserver = observer;
+            case 'revealed':
+            case 'intersect':
+                this.observeTriggerIntersection(element, spec, handler);
+                break;
+
+            default:
+                sources.forEach(source => source.addEventListener(spec.event, handler));
+        }
     }
 
     /**
-     * Stops the infinite scroll by removing the sentinel and disconnecting the observer.
-     * @param {HTMLElement} parentElement
+     * Creates the event handler of a trigger, applying its filter and modifiers.
+     * @param {HTMLElement} element
+     * @param {Object} spec - Trigger spec from TriggerParser.
+     * @param {Function} fire - Runs the element's action.
+     * @param {Function} detach - Removes the handler from its event sources.
+     * @returns {Function}
      */
-    stopInfiniteScroll(parentElement) {
-        // Remove the sentinel element
-        if (parentElement.__sentinelElement) {
-            parentElement.__sentinelElement.remove();
-            delete parentElement.__sentinelElement;
+    createTriggerHandler(element, spec, fire, detach) {
+        const delay = spec.delay !== null ? this.parseDuration(spec.delay) : null;
+        if (spec.delay !== null && delay === null) {
+            console.warn(`Invalid delay '${spec.delay}' in x-trigger on element:`, element);
         }
 
-        // Set a flag to indicate infinite scroll has stopped
-        parentElement.__infiniteScrollStopped = true;
-
-        // Disconnect the observer
-        if (parentElement.__infiniteScrollObserver) {
-            parentElement.__infiniteScrollObserver.disconnect();
-            delete parentElement.__infiniteScrollObserver;
+        const throttle = spec.throttle !== null ? this.parseDuration(spec.throttle) : null;
+        if (spec.throttle !== null && throttle === null) {
+            console.warn(`Invalid throttle '${spec.throttle}' in x-trigger on element:`, element);
         }
-    }
 
-    /**
-     * Handles the action for infinite scroll.
-     * @param {HTMLElement} parentElement
-     */
-    async handleInfiniteScrollAction(parentElement) {
-        const url = parentElement.getAttribute(this.ATTRIBUTES.ACTIONS.GET);
-        if (!url) {
-            console.error('No URL specified for infinite scroll.');
-            return;
-        }
+        let lastValue = spec.changed ? this.getTriggerValue(element, null) : undefined;
+        let throttledUntil = 0;
+        let delayTimeout = null;
+        let fired = false;
 
-        const requestParams = this.prepareRequestParams(parentElement, { maxRetries: 2 });
+        return (event) => {
+            // Listeners on other elements outlive the element, drop them once it is gone
+            if (spec.from && !element.isConnected) {
+                detach();
+                return;
+            }
 
-        // Set X-Action header if not already set
-        if (!requestParams.headers["X-Action"]) {
-            requestParams.headers["X-Action"] = "infinite-scroll";
-        }
+            if (spec.target && !(event.target instanceof Element && event.target.closest(spec.target))) {
+                return;
+            }
 
-        // Get the params from the last child
-        requestParams.paramsObject = this.getChildParamsObject(parentElement);
-        if (requestParams.paramsObject && Object.keys(requestParams.paramsObject).length > 0) {
-            requestParams.headers["X-Params"] = JSON.stringify(requestParams.paramsObject);
-        }
+            // Boosted links leave clicks that open a new tab or window to the browser,
+            // boosted forms leave submit buttons that target another window or origin
+            if (element.__xBoosted && (this.isModifiedClick(event) || !this.isBoostableSubmitter(this.getSubmitter(event, element)))) {
+                return;
+            }
 
-        try {
-            const responseText = await this.performRequest(requestParams);
-            const targetElement = document.querySelector(requestParams.targetSelector);
-            if (!targetElement) {
-                console.error(`No element found with selector '${requestParams.targetSelector}' for infinite scroll.`);
+            // Links and forms never navigate natively, even when the filter or a modifier skips the request
+            if (this.shouldPreventDefault(event, element)) {
+                event.preventDefault();
+            }
+
+            if (spec.once && fired) {
                 return;
             }
 
-            await this.processResponse(responseText, targetElement, parentElement);
+            if (!this.matchesTriggerFilter(spec.filter, event, element)) {
+                return;
+            }
 
-            // Re-attach the observer to continue loading
-            this.setupInfiniteScroll(parentElement);
-        } catch (error) {
-            this.handleError(error, parentElement, parentElement);
-        }
+            if (spec.changed) {
+                const value = this.getTriggerValue(element, event);
+                if (value === lastValue) {
+                    return;
+                }
+                lastValue = value;
+            }
+
+            // The element's own listener stays, it still has to stop native navigation
+            if (spec.once) {
+                fired = true;
+                if (spec.from) {
+                    detach();
+                }
+            }
+
+            if (throttle !== null) {
+                const now = Date.now();
+                if (now < throttledUntil) {
+                    return;
+                }
+                throttledUntil = now + throttle;
+            }
+
+            if (delay !== null) {
+                clearTimeout(delayTimeout);
+                delayTimeout = setTimeout(() => fire(event), delay);
+                return;
+            }
+
+            fire(event);
+        };
     }
 
     /**
-     * Retrieves parameters from the last child element.
-     * @param {HTMLElement} parentElement
-     * @returns {Object}
+     * Resolves the elements a trigger listens on: the element itself, or the from: source.
+     * @param {HTMLElement} element
+     * @param {string|null} from - "document", "window" or a CSS selector.
+     * @returns {EventTarget[]}
      */
-    getChildParamsObject(parentElement) {
-        // Get x-params from the last child
-        const lastChild = parentElement.lastElementChild;
-        let paramsObject = {};
-        if (lastChild) {
-            const xParamsAttr = lastChild.getAttribute(this.ATTRIBUTES.PARAMS);
-            if (xParamsAttr) {
-                try {
-                    paramsObject = JSON.parse(xParamsAttr);
-                } catch (e) {
-                    console.error('Invalid JSON in x-params attribute of last child:', e);
-                }
-            }
+    getTriggerSources(element, from) {
+        if (!from) {
+            return [element];
+        }
+        if (from === 'document') {
+            return [document];
+        }
+        if (from === 'window') {
+            return [window];
         }
 
-        return paramsObject;
+        const sources = Array.from(document.querySelectorAll(from));
+        if (sources.length === 0) {
+            console.warn(`No element found for x-trigger source '${from}' on element:`, element);
+        }
+        return sources;
     }
 
-    // Toggle Class Methods
-    // --------------------
-
     /**
-     * Sets up an element with x-toggle-class attribute to toggle a class on a target
+     * Fires the synthetic "revealed" (once) and "intersect" (every time) triggers when the element enters the viewport.
+     * @param {HTMLElement} element
+     * @param {Object} spec - Trigger spec from TriggerParser.
+     * @param {Function} handler
      */
-    setupToggleClass(element) {
-        const toggleClass = element.getAttribute(this.ATTRIBUTES.TOGGLE_CLASS);
-        const toggleTargetSelector = element.getAttribute(this.ATTRIBUTES.TARGET);
+    observeTriggerIntersection(element, spec, handler) {
+        const options = {};
+        if (spec.root) {
+            options.root = document.querySelector(spec.root);
+        }
+        if (spec.threshold) {
+            options.threshold = parseFloat(spec.threshold);
+        }
 
-        // This element is meant to toggle a class on a target element when triggered
-        const trigger = element.getAttribute(this.ATTRIBUTES.TRIGGER) ||
-            (element.tagName === 'FORM' ? 'submit' : 'click');
+        const observer = new IntersectionObserver((entries) => {
+            if (!element.isConnected) {
+                observer.disconnect();
+                return;
+            }
 
-        // Remove any previously added listeners to avoid duplication
-        if (!element.__xToggleInitialized) {
-            element.addEventListener(trigger, (event) => {
-                event.preventDefault();
-                const targetElement = document.querySelector(toggleTargetSelector);
-                if (targetElement) {
-                    targetElement.classList.toggle(toggleClass);
-                } else {
-                    console.error(`No element found for selector '${toggleTargetSelector}' to toggle class '${toggleClass}'`);
+            entries.forEach(entry => {
+                if (!entry.isIntersecting) {
+                    return;
+                }
+                if (spec.event === 'revealed') {
+                    observer.disconnect();
                 }
+                handler(new CustomEvent(spec.event, { detail: { entry } }));
             });
-            element.__xToggleInitialized = true;
-        }
+        }, options);
+
+        observer.observe(element);
     }
 
-    // Upload Methods
-    // --------------
+    /**
+     * Checks a parsed trigger filter against an event. Conditions either name a predicate registered
+     * with addTriggerFilter, test an event property for truthiness, or compare it with a literal.
+     * @param {Object[]} conditions - Conditions from TriggerParser.parseFilter.
+     * @param {Event} event
+     * @param {HTMLElement} element
+     * @returns {boolean}
+     */
+    matchesTriggerFilter(conditions, event, element) {
+        const resolvePath = (path) => path.split('.').reduce((value, key) => value == null ? undefined : value[key], event);
+
+        return conditions.every(condition => {
+            let result;
+            if (condition.operator) {
+                const actual = resolvePath(condition.path);
+                result = condition.operator === '==' ? actual === condition.value : actual !== condition.value;
+            } else if (this.triggerFilters[condition.path]) {
+                result = Boolean(this.triggerFilters[condition.path](event, element));
+            } else {
+                result = Boolean(resolvePath(condition.path));
+            }
+            return condition.negate ? !result : result;
+        });
+    }
 
     /**
-     * Sets up an element with x-upload attribute to handle file uploads.
+     * Returns the value the "changed" modifier compares: the serialized form, or the element's or event target's value.
+     * @param {HTMLElement} element
+     * @param {Event|null} event
+     * @returns {string|undefined}
      */
-    setupUpload(element) {
-        // Avoid attaching multiple listeners
-        if (element.__xUploadInitialized) return;
-        const uploader = new PartialUpload({
-            dropzoneSelector: element.querySelector(element.getAttribute(this.ATTRIBUTES.UPLOAD_DROPZONE)),
-            fileInputSelector: element.querySelector(element.getAttribute(this.ATTRIBUTES.UPLOAD_INPUT)),
-            endpoint: element.getAttribute(this.ATTRIBUTES.UPLOAD),
-            resultTarget: element.querySelector(element.getAttribute(this.ATTRIBUTES.TARGET)),
-            swapOption: element.getAttribute(this.ATTRIBUTES.SWAP) || this.defaultSwapOption,
-            partial: this,
-        });
-
-        uploader.init();
-
-        // Mark the element as initialized
-        element.__xUploadInitialized = true;
-
-        const observer = new MutationObserver((mutationsList, obs) => {
-            if (!document.body.contains(element)) {
-                element.__xUploadInitialized = false;
-                uploader.destroy();
-                obs.disconnect();
-            }
-        });
-        observer.observe(document.body, { childList: true, subtree: true });
+    getTriggerValue(element, event) {
+        if (element instanceof HTMLFormElement) {
+            return new URLSearchParams(/** @type {any} */ (new FormData(element))).toString();
+        }
+        if ('value' in element) {
+            return element.value;
+        }
+        if (event && event.target && 'value' in event.target) {
+            return event.target.value;
+        }
+        return undefined;
     }
 
+    /**
+     * Determines whether the browser's default action must be prevented: form submits,
+     * and clicks on links and buttons the element listens on itself.
+     * @param {Event} event
+     * @param {HTMLElement} element
+     * @returns {boolean}
+     */
+    shouldPreventDefault(event, element) {
+        if (event.currentTarget !== element) {
+            return false;
+        }
+        if (event.type === 'submit') {
+            return true;
+        }
+        return event.type === 'click' && element.matches('a[href], button, input[type="submit"], input[type="image"]');
+    }
 
-    // Action Handling Methods
-    // -----------------------
+    // Hotkey Methods
+    // --------------
 
     /**
-     * Handles the action when an element is triggered.
-     * @param {Event} event
+     * Registers the x-hotkey bindings of an element. The value holds comma-separated alternatives,
+     * each a chord ("mod+k") or a space-separated sequence of chords ("g i").
      * @param {HTMLElement} element
      */
-    async handleAction(event, element) {
-        // Get a confirmation message from x-confirm
-        const confirmMessage = element.getAttribute(this.ATTRIBUTES.CONFIRM);
-        if (confirmMessage) {
-            const confirmed = window.confirm(confirmMessage);
-            if (!confirmed) {
-                return; // Abort the action
-            }
+    registerHotkey(element) {
+        const hotkey = element.getAttribute(this.ATTRIBUTES.HOTKEY);
+        const sequences = hotkey.split(',')
+            .map(sequence => sequence.trim())
+            .filter(Boolean)
+            .map(sequence => sequence.split(/\s+/).map(chord => this.parseHotkeyChord(chord)));
+
+        if (sequences.length === 0 || sequences.some(sequence => sequence.includes(null))) {
+            console.warn(`Invalid x-hotkey value '${hotkey}' on element:`, element);
+            return;
         }
 
-        // Get the indicator selector from x-indicator
-        const indicatorSelector = this.getAttributeWithInheritance(element, this.ATTRIBUTES.INDICATOR);
-        let indicatorElement = null;
-        if (indicatorSelector) {
-            indicatorElement = document.querySelector(indicatorSelector);
+        // Bindings hold the element weakly, so moved or re-inserted elements keep their hotkeys
+        this.hotkeyBindings.push({
+            ref: new WeakRef(element),
+            hotkey,
+            sequences,
+            editable: element.hasAttribute(this.ATTRIBUTES.HOTKEY_EDITABLE),
+        });
+    }
+
+    /**
+     * Parses a chord such as "mod+shift+k". "mod" is Cmd on Apple platforms and Ctrl elsewhere.
+     * @param {string} chord
+     * @returns {{key: string, ctrl: boolean, alt: boolean, shift: boolean, meta: boolean}|null}
+     */
+    parseHotkeyChord(chord) {
+        const aliases = {
+            esc: 'escape', space: ' ', plus: '+', comma: ',', del: 'delete', return: 'enter',
+            up: 'arrowup', down: 'arrowdown', left: 'arrowleft', right: 'arrowright',
+        };
+
+        const parts = chord.toLowerCase().split('+');
+        const key = parts.pop();
+        if (!key) {
+            return null;
         }
 
-        // Get loading class from x-loading-class
-        const loadingClass = this.getAttributeWithInheritance(element, this.ATTRIBUTES.LOADING_CLASS);
+        const isApple = /Mac|iPhone|iPad/.test(navigator.platform);
+        const spec = { key: aliases[key] || key, ctrl: false, alt: false, shift: false, meta: false };
+
+        for (const modifier of parts) {
+            switch (modifier) {
+                case 'mod':
+                    spec[isApple ? 'meta' : 'ctrl'] = true;
+                    break;
+                case 'ctrl':
+                case 'control':
+                    spec.ctrl = true;
+                    break;
+                case 'alt':
+                case 'option':
+                    spec.alt = true;
+                    break;
+                case 'shift':
+                    spec.shift = true;
+                    break;
+                case 'meta':
+                case 'cmd':
+                case 'command':
+                    spec.meta = true;
+                    break;
+                default:
+                    return null;
+            }
+        }
 
-        // Handle x-focus
-        const focusEnabled = this.getAttributeWithInheritance(element, this.ATTRIBUTES.FOCUS) !== 'false';
+        return spec;
+    }
 
-        // Handle x-push-state
-        const shouldPushState = this.getAttributeWithInheritance(element, this.ATTRIBUTES.PUSH_STATE) !== 'false';
+    /**
+     * Checks whether a keydown event matches a chord.
+     * @param {Object} chord - Chord from parseHotkeyChord.
+     * @param {KeyboardEvent} event
+     * @returns {boolean}
+     */
+    matchesHotkeyChord(chord, event) {
+        let key = event.key.toLowerCase();
 
-        // Handle x-timeout
-        const timeoutValue = this.getAttributeWithInheritance(element, this.ATTRIBUTES.TIMEOUT);
-        const timeout = parseInt(timeoutValue, 10);
+        // Alt changes the produced character on some platforms, fall back to the physical key
+        if (key !== chord.key && event.altKey && /^(Key[A-Z]|Digit\d)$/.test(event.code)) {
+            key = event.code.slice(event.code.startsWith('Key') ? 3 : 5).toLowerCase();
+        }
 
-        // Handle x-retry
-        const retryValue = this.getAttributeWithInheritance(element, this.ATTRIBUTES.RETRY);
-        const maxRetries = parseInt(retryValue, 10) || 1;
+        if (key !== chord.key || event.ctrlKey !== chord.ctrl || event.altKey !== chord.alt || event.metaKey !== chord.meta) {
+            return false;
+        }
 
-        const requestParams = this.prepareRequestParams(element, { maxRetries: maxRetries });
+        // Characters such as "?" imply shift, so it only has to match for letters and named keys
+        if (!chord.shift && chord.key.length === 1 && !/[a-z]/.test(chord.key)) {
+            return true;
+        }
+        return event.shiftKey === chord.shift;
+    }
 
-        const targetElement = document.querySelector(requestParams.targetSelector);
-        if (!targetElement) {
-            const error = new Error(`No element found with selector '${requestParams.targetSelector}' for 'x-target' targeting.`);
-            this.handleError(error, element, targetElement);
+    /**
+     * Handles keydown events and fires the action of the longest matching hotkey.
+     * @param {KeyboardEvent} event
+     */
+    handleHotkey(event) {
+        if (event.repeat || ['Control', 'Shift', 'Alt', 'Meta'].includes(event.key)) {
             return;
         }
 
-        // Run all onAction hooks
-        await this.runHooks('onAction', { element, targetElement, partial: this });
+        const bindings = this.getConnectedHotkeyBindings();
+        if (bindings.length === 0) {
+            return;
+        }
 
-        try {
-            // Show the indicator before the request
-            if (indicatorElement) {
-                indicatorElement.style.display = ''; // Or apply a CSS class to show
-            }
+        // Sequences must be typed with less than a second between keys
+        const now = Date.now();
+        const lastKey = this.hotkeyBuffer[this.hotkeyBuffer.length - 1];
+        if (lastKey && now - lastKey.time > 1000) {
+            this.hotkeyBuffer = [];
+        }
+        this.hotkeyBuffer.push({ event, time: now });
+        this.hotkeyBuffer = this.hotkeyBuffer.slice(-8);
 
-            // Add loading class to target element
-            if (loadingClass && targetElement) {
-                targetElement.classList.add(loadingClass);
-            }
+        const editable = this.isEditableTarget(event.target);
+        let match = null;
 
-            // Dispatch x-before event(s) if specified
-            const beforeEvents = element.getAttribute(this.ATTRIBUTES.BEFORE);
-            if (beforeEvents) {
-                await this.dispatchCustomEvents(beforeEvents, { element, event });
+        bindings.forEach(binding => {
+            if ((editable && !binding.editable) || !this.isHotkeyActive(binding)) {
+                return;
             }
 
-            // Dispatch beforeSend event
-            this.dispatchEvent('beforeSend', { ...requestParams, element });
+            binding.sequences.forEach(sequence => {
+                if (sequence.length > this.hotkeyBuffer.length || (match && match.length >= sequence.length)) {
+                    return;
+                }
 
-            // Call performRequest with the correct parameters
-            const responseText = await this.performRequest({
-                ...requestParams,
-                timeout,
-                maxRetries,
+                const recentKeys = this.hotkeyBuffer.slice(-sequence.length);
+                if (sequence.every((chord, index) => this.matchesHotkeyChord(chord, recentKeys[index].event))) {
+                    match = { binding, length: sequence.length };
+                }
             });
+        });
 
-            // Dispatch afterReceive event
-            this.dispatchEvent('afterReceive', { response: this.lastResponse, element });
+        if (!match) {
+            return;
+        }
 
-            // Process and update the DOM with the response
-            await this.processResponse(responseText, targetElement, element);
+        this.hotkeyBuffer = [];
+        event.preventDefault();
 
-            // After successfully updating content
-            const swapOption = this.getAttributeWithInheritance(element, this.ATTRIBUTES.SWAP) || this.defaultSwapOption;
+        const { element } = match.binding;
+        this.handleAction(event, element).catch(error => {
+            this.handleError(error, element);
+        });
+    }
 
-            if (shouldPushState) {
-                const newUrl = new URL(requestParams.url, window.location.origin);
-                history.pushState({
-                    xPartial: true,
-                    partialId: requestParams.partialId,
-                    url: newUrl.href,
-                    swapOption: swapOption,
-                    maxRetries: maxRetries,
-                }, '', newUrl);
-            }
+    /**
+     * Returns the hotkey bindings whose element is in the document, with the element resolved.
+     * Bindings are only dropped once their element is garbage collected, detached ones are skipped.
+     * @returns {Object[]}
+     */
+    getConnectedHotkeyBindings() {
+        this.hotkeyBindings = this.hotkeyBindings.filter(binding => binding.ref.deref());
 
-            // Dispatch x-after event(s) if specified
-            const afterEvents = element.getAttribute(this.ATTRIBUTES.AFTER);
-            if (afterEvents) {
-                await this.dispatchCustomEvents(afterEvents, { element, event });
-            }
+        return this.hotkeyBindings
+            .map(binding => ({ ...binding, element: binding.ref.deref() }))
+            .filter(binding => binding.element.isConnected);
+    }
 
-            // Auto-focus if enabled
-            if (this.autoFocus && focusEnabled) {
-                if (targetElement.getAttribute('tabindex') === null) {
-                    targetElement.setAttribute('tabindex', '-1');
-                }
-                targetElement.focus();
-            }
-        } catch (error) {
-            const onErrorAttr = element.getAttribute(this.ATTRIBUTES.ON_ERROR);
-            if (onErrorAttr && typeof window[onErrorAttr] === 'function') {
-                window[onErrorAttr](error, element);
-            } else if (typeof this.onError === 'function') {
-                this.onError(error, element);
-            } else {
-                // Default error handling
-                console.error('Request failed:', error);
-                targetElement.innerHTML = `<div class="error">An error occurred: ${error.message}</div>`;
-            }
-        } finally {
-            // Hide the indicator after the request completes or fails
-            if (indicatorElement) {
-                indicatorElement.style.display = 'none'; // Or remove the CSS class
-            }
+    /**
+     * Checks whether a hotkey is in scope. Inside an x-hotkey-scope container it is only active
+     * while the container is visible ("visible", the default) or contains the focus ("focus").
+     * @param {Object} binding
+     * @returns {boolean}
+     */
+    isHotkeyActive(binding) {
+        const scopeElement = binding.element.closest(`[${this.ATTRIBUTES.HOTKEY_SCOPE}]`);
+        if (!scopeElement) {
+            return true;
+        }
 
-            // Remove loading class from target element
-            if (loadingClass && targetElement) {
-                targetElement.classList.remove(loadingClass);
-            }
+        if (scopeElement.getAttribute(this.ATTRIBUTES.HOTKEY_SCOPE) === 'focus') {
+            return scopeElement.contains(document.activeElement);
         }
+
+        return scopeElement.getClientRects().length > 0 && getComputedStyle(scopeElement).visibility !== 'hidden';
     }
 
-    // Request Preparation Methods
-    // ---------------------------
+    /**
+     * Checks whether a key event comes from a field the user is typing in.
+     * Checkboxes, radios, buttons and other inputs without text entry don't count.
+     * @param {EventTarget} target
+     * @returns {boolean}
+     */
+    isEditableTarget(target) {
+        if (target instanceof HTMLInputElement) {
+            return !['checkbox', 'radio', 'button', 'submit', 'reset', 'image', 'file', 'range', 'color', 'hidden']
+                .includes(target.type);
+        }
+        if (!(target instanceof HTMLElement)) {
+            return false;
+        }
+        return target.isContentEditable || ['TEXTAREA', 'SELECT'].includes(target.tagName);
+    }
 
     /**
-     * Prepares the request parameters for the Fetch API.
+     * Lists the registered hotkeys, e.g. to render a help overlay.
+     * @returns {{hotkey: string, element: HTMLElement, description: string, active: boolean}[]}
+     */
+    hotkeys() {
+        return this.getConnectedHotkeyBindings().map(binding => ({
+            hotkey: binding.hotkey,
+            element: binding.element,
+            description: binding.element.getAttribute('title')
+                || binding.element.getAttribute('aria-label')
+                || binding.element.textContent.trim(),
+            active: this.isHotkeyActive(binding),
+        }));
+    }
+
+    // Boost Methods
+    // -------------
+
+    /**
+     * Checks whether a plain link or form is turned into a partial request by an x-boost ancestor.
+     * Elements with their own action, links to other origins, fragments or downloads,
+     * and links or forms with a target other than _self are left alone.
      * @param {HTMLElement} element
-     * @param {Object} [additionalParams={}]
-     * @returns {RequestParams} Request parameters
+     * @returns {boolean}
      */
-    prepareRequestParams(element, additionalParams = {}) {
-        const requestParams = this.extractRequestParams(element);
-        requestParams.element = element;
+    isBoostable(element) {
+        const boost = this.getAttributeWithInheritance(element, this.ATTRIBUTES.BOOST);
+        if (boost === null || boost === 'false') {
+            return false;
+        }
+        if (Object.values(this.ATTRIBUTES.ACTIONS).some(attr => element.hasAttribute(attr))) {
+            return false;
+        }
 
-        if (!requestParams.url) {
-            throw new Error(`No URL specified for method ${requestParams.method} on element.`);
+        const target = element.getAttribute('target');
+        if (target && target !== '_self') {
+            return false;
         }
 
-        const targetElement = document.querySelector(requestParams.targetSelector);
-        if (!targetElement) {
-            throw new Error(`No element found with selector '${requestParams.targetSelector}' for 'x-target' targeting.`);
+        if (element instanceof HTMLAnchorElement) {
+            const href = element.getAttribute('href');
+            if (!href || href.startsWith('#') || element.hasAttribute('download')) {
+                return false;
+            }
+            const url = new URL(element.href, window.location.href);
+            // Jumping to a fragment of the current page stays a native navigation
+            if (url.hash && this.isSameDocumentUrl(url.href, window.location.href)) {
+                return false;
+            }
+            return url.origin === window.location.origin;
         }
 
-        if (!requestParams.partialId) {
-            throw new Error(`Target element does not have an 'id' attribute.`);
+        if (element instanceof HTMLFormElement) {
+            return element.method !== 'dialog'
+                && new URL(element.action, window.location.href).origin === window.location.origin;
         }
 
-        // Set the X-Target header
-        requestParams.headers["X-Target"] = requestParams.partialId;
+        return false;
+    }
 
-        // Merge additional parameters
-        Object.assign(requestParams, additionalParams);
+    /**
+     * Checks whether a boosted form submitted by this button still is a partial request.
+     * Buttons whose formaction, formmethod or formtarget lead elsewhere are left to the browser.
+     * @param {HTMLElement|null} submitter
+     * @returns {boolean}
+     */
+    isBoostableSubmitter(submitter) {
+        if (!submitter) {
+            return true;
+        }
 
-        return requestParams;
+        const target = submitter.getAttribute('formtarget');
+        if (target && target !== '_self') {
+            return false;
+        }
+
+        const form = /** @type {HTMLFormElement} */ (submitter.form);
+        return this.getBoostMethod(form, submitter) !== 'dialog'
+            && new URL(this.getBoostAction(form, submitter)).origin === window.location.origin;
     }
 
     /**
-     * Extracts request parameters from the element.
+     * Returns the button that submitted the element, if the event is a submission of the element as a form.
+     * @param {Event|null} event
      * @param {HTMLElement} element
-     * @returns {RequestParams} Parameters including method, url, headers, body, etc.
+     * @returns {HTMLElement|null}
      */
-    extractRequestParams(element) {
-        const method = this.getMethod(element);
-        const actionAttr = `x-${method.toLowerCase()}`;
-        let url = this.getAttributeWithInheritance(element, actionAttr);
+    getSubmitter(event, element) {
+        const submitter = event && event.type === 'submit' ? /** @type {SubmitEvent} */ (event).submitter : null;
+        return submitter && /** @type {HTMLButtonElement} */ (submitter).form === element ? submitter : null;
+    }
 
-        const headers = this.getHeaders(element);
+    /**
+     * Resolves the action of a boosted form, which the submitter's formaction overrides.
+     * @param {HTMLFormElement} form
+     * @param {HTMLElement|null} [submitter=null]
+     * @returns {string} The absolute action URL
+     */
+    getBoostAction(form, submitter = null) {
+        const formAction = submitter && submitter.getAttribute('formaction');
+        return new URL(formAction || form.action, document.baseURI).href;
+    }
+
+    /**
+     * Resolves the method of a boosted form, which the submitter's formmethod overrides.
+     * @param {HTMLFormElement} form
+     * @param {HTMLElement|null} [submitter=null]
+     * @returns {string} "get", "post" or "dialog"
+     */
+    getBoostMethod(form, submitter = null) {
+        const formMethod = submitter ? (submitter.getAttribute('formmethod') || '').toLowerCase() : '';
+        return ['get', 'post', 'dialog'].includes(formMethod) ? formMethod : form.method;
+    }
 
-        let targetSelector = this.getAttributeWithInheritance(element, this.ATTRIBUTES.TARGET);
-        if (!targetSelector) {
-            targetSelector = element.id ? `#${element.id}` : "body";
+    /**
+     * Derives the URL of a boosted link or form. The fields of GET forms replace the query
+     * of the action, like a native submission.
+     * @param {HTMLAnchorElement|HTMLFormElement} element
+     * @param {HTMLElement|null} [submitter=null] - The button that submitted the form.
+     * @returns {string}
+     */
+    getBoostUrl(element, submitter = null) {
+        if (element instanceof HTMLAnchorElement) {
+            return element.href;
         }
 
-        const targetElement = document.querySelector(targetSelector);
-        const partialId = targetElement ? targetElement.getAttribute('id') : null;
+        const url = new URL(this.getBoostAction(element, submitter));
+        if (this.getBoostMethod(element, submitter) === 'get') {
+            // prepareRequestUrl adds the fields
+            url.search = '';
+        }
+        return url.href;
+    }
 
-        const xParams = this.getAttributeWithInheritance(element, this.ATTRIBUTES.PARAMS);
-        let paramsObject = {};
+    /**
+     * Checks whether a click asks the browser for a new tab, window or download.
+     * @param {Event} event
+     * @returns {boolean}
+     */
+    isModifiedClick(event) {
+        return event instanceof MouseEvent
+            && (event.button !== 0 || event.ctrlKey || event.metaKey || event.shiftKey || event.altKey);
+    }
 
-        if (xParams) {
-            try {
-                paramsObject = JSON.parse(xParams);
-            } catch (e) {
-                const error = new Error('Invalid JSON in x-params attribute');
-                this.handleError(error, element, targetElement);
-            }
+    // Push Params Methods
+    // -------------------
+
+    /**
+     * Resolves the inheritable x-push-params mode: "replace" (the default) or "push".
+     * @param {HTMLElement} element
+     * @returns {'replace'|'push'|null} The mode, or null if the fields stay out of the URL.
+     */
+    getPushParamsMode(element) {
+        const value = this.getAttributeWithInheritance(element, this.ATTRIBUTES.PUSH_PARAMS);
+        if (value === null || value === 'false') {
+            return null;
+        }
+        if (value !== '' && value !== 'replace' && value !== 'push') {
+            console.warn(`Invalid x-push-params value '${value}', expected 'replace' or 'push'.`);
         }
+        return value === 'push' ? 'push' : 'replace';
+    }
 
-        return { method, url, headers, targetSelector, partialId, paramsObject };
+    /**
+     * Returns the fields whose values go into the page URL: those of the element's form,
+     * or outside a form the element itself or the fields it contains.
+     * Only GET requests qualify, and disabled, hidden and password fields are left out.
+     * @param {HTMLElement} element
+     * @returns {Array<HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement>}
+     */
+    getPushParamsFields(element) {
+        const form = element instanceof HTMLFormElement ? element : element.closest('form');
+        // The fields of write requests, e.g. a CSRF token, never end up in the URL
+        if (['POST', 'PUT', 'PATCH', 'DELETE'].includes(this.getMethod(element)) || (form && this.isWriteForm(form))) {
+            return [];
+        }
+
+        const fields = form
+            ? Array.from(form.elements)
+            : (element.matches('input, select, textarea') ? [element] : Array.from(element.querySelectorAll('input, select, textarea')));
+        return /** @type {Array<HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement>} */ (fields.filter(field =>
+            field instanceof HTMLElement && field.getAttribute('name')
+            && ['INPUT', 'SELECT', 'TEXTAREA'].includes(field.tagName)
+            && !['file', 'submit', 'button', 'reset', 'image', 'password', 'hidden'].includes(field.getAttribute('type'))
+            && !field.matches(':disabled')
+        ));
+    }
+
+    /**
+     * Builds the page URL with the element's fields in the query. Other query parameters are kept,
+     * empty fields are left out.
+     * @param {HTMLElement} element
+     * @returns {string}
+     */
+    getPushParamsUrl(element) {
+        const url = new URL(window.location.href);
+        const fields = this.getPushParamsFields(element);
+
+        fields.forEach(field => url.searchParams.delete(field.name));
+        fields.forEach(field => {
+            if (field instanceof HTMLSelectElement) {
+                Array.from(field.selectedOptions).forEach(option => option.value !== '' && url.searchParams.append(field.name, option.value));
+            } else if ((field.type !== 'checkbox' && field.type !== 'radio') || field.checked) {
+                if (field.value !== '') {
+                    url.searchParams.append(field.name, field.value);
+                }
+            }
+        });
+        return url.href;
+    }
+
+    /**
+     * Sets the fields of an element from the query of the page URL. Fields missing from the query
+     * get their default value back.
+     * @param {HTMLElement} element
+     * @param {URLSearchParams} searchParams
+     * @returns {boolean} Whether any field changed
+     */
+    hydratePushParams(element, searchParams) {
+        let changed = false;
+        const positions = {};
+
+        this.getPushParamsFields(element).forEach(field => {
+            const values = searchParams.getAll(field.name);
+
+            if (field instanceof HTMLSelectElement) {
+                const selection = () => Array.from(field.selectedOptions).map(option => option.value).join();
+                const before = selection();
+                Array.from(field.options).forEach(option => {
+                    option.selected = values.length > 0 ? values.includes(option.value) : option.defaultSelected;
+                });
+                // Without a preselected option, a single select falls back to the first one
+                if (!field.multiple && field.selectedIndex === -1 && values.length === 0) {
+                    field.selectedIndex = 0;
+                }
+                changed = changed || selection() !== before;
+                return;
+            }
+
+            if (field instanceof HTMLInputElement && (field.type === 'checkbox' || field.type === 'radio')) {
+                const checked = values.length > 0 ? values.includes(field.value) : field.defaultChecked;
+                changed = changed || field.checked !== checked;
+                field.checked = checked;
+                return;
+            }
+
+            // Repeated names are filled in order
+            const position = positions[field.name] = (positions[field.name] ?? -1) + 1;
+            const value = values.length > 0 ? (values[position] ?? '') : field.defaultValue;
+            changed = changed || field.value !== value;
+            field.value = value;
+        });
+
+        return changed;
+    }
+
+    /**
+     * Applies the page URL to every x-push-params form or field, and requests the partials again
+     * whose fields changed.
+     */
+    restorePushParams() {
+        const searchParams = new URLSearchParams(window.location.search);
+        const actionSelector = Object.values(this.ATTRIBUTES.ACTIONS).map(attr => `[${attr}]`).join(',');
+
+        document.querySelectorAll(`[${this.ATTRIBUTES.PUSH_PARAMS}]`).forEach(element => {
+            if (!(element instanceof HTMLElement) || !this.getPushParamsMode(element)) {
+                return;
+            }
+            if (!this.hydratePushParams(element, searchParams)) {
+                return;
+            }
+
+            // The attribute can also sit on a form whose fields carry the action
+            const actionElement = element.matches(actionSelector) ? element : element.querySelector(actionSelector);
+            if (actionElement instanceof HTMLElement) {
+                this.handleAction(new CustomEvent('restore'), actionElement).catch(error => {
+                    this.handleError(error, actionElement);
+                });
+            }
+        });
+    }
+
+    // Polling Methods
+    // ---------------
+
+    /**
+     * Sets up polling for an element with x-trigger="every <interval>".
+     * Polling pauses while the document is hidden and backs off after failed requests.
+     * @param {HTMLElement} element
+     * @param {number} interval - Interval in milliseconds.
+     */
+    setupPolling(element, interval) {
+        if (element.__xPoll) {
+            return;
+        }
+
+        const poll = { interval, failures: 0, timeoutId: null, dueAt: 0 };
+        poll.onVisibilityChange = () => {
+            if (document.hidden) {
+                clearTimeout(poll.timeoutId);
+            } else {
+                // Poll right away if the interval elapsed while hidden
+                this.schedulePoll(element, Math.max(poll.dueAt - Date.now(), 0));
+            }
+        };
+
+        element.__xPoll = poll;
+        document.addEventListener('visibilitychange', poll.onVisibilityChange);
+        this.schedulePoll(element, interval);
+    }
+
+    /**
+     * Schedules the next poll of an element. While the document is hidden, only the due time is recorded.
+     * @param {HTMLElement} element
+     * @param {number} delay - Delay in milliseconds.
+     */
+    schedulePoll(element, delay) {
+        const poll = element.__xPoll;
+        if (!poll) {
+            return;
+        }
+
+        clearTimeout(poll.timeoutId);
+        poll.dueAt = Date.now() + delay;
+
+        if (!document.hidden) {
+            poll.timeoutId = setTimeout(() => this.runPoll(element), delay);
+        }
+    }
+
+    /**
+     * Runs one poll and schedules the next, doubling the interval for each consecutive failure.
+     * @param {HTMLElement} element
+     */
+    async runPoll(element) {
+        if (!element.__xPoll) {
+            return;
+        }
+
+        if (!document.body.contains(element)) {
+            this.stopPolling(element);
+            return;
+        }
+
+        let failed;
+        try {
+            const request = await this.handleAction(new CustomEvent('poll'), element);
+            failed = Boolean(request && request.error);
+        } catch (error) {
+            this.handleError(error, element);
+            failed = true;
+        }
+
+        // Stopped by the server or removed while the request was running
+        const poll = element.__xPoll;
+        if (!poll) {
+            return;
+        }
+
+        const maxBackoff = 8;
+        poll.failures = failed ? poll.failures + 1 : 0;
+        this.schedulePoll(element, poll.interval * Math.min(Math.pow(2, poll.failures), maxBackoff));
+    }
+
+    /**
+     * Stops polling an element.
+     * @param {HTMLElement} element
+     */
+    stopPolling(element) {
+        const poll = element.__xPoll;
+        if (!poll) {
+            return;
+        }
+
+        clearTimeout(poll.timeoutId);
+        document.removeEventListener('visibilitychange', poll.onVisibilityChange);
+        delete element.__xPoll;
+    }
+
+    // Prefetch Methods
+    // ----------------
+
+    /**
+     * Sets up the x-prefetch triggers ("hover", "focus" and/or "visible") of an element.
+     * @param {HTMLElement} element
+     */
+    setupPrefetch(element) {
+        const triggers = element.getAttribute(this.ATTRIBUTES.PREFETCH).split(/[\s,]+/).filter(Boolean);
+        const prefetch = () => this.prefetch(element);
+
+        triggers.forEach(trigger => {
+            switch (trigger) {
+                case 'hover':
+                    element.addEventListener('mouseenter', prefetch);
+                    element.addEventListener('touchstart', prefetch, { passive: true });
+                    break;
+
+                case 'focus':
+                    element.addEventListener('focus', prefetch);
+                    break;
+
+                case 'visible': {
+                    const observer = new IntersectionObserver((entries) => {
+                        if (entries.some(entry => entry.isIntersecting)) {
+                            observer.disconnect();
+                            prefetch();
+                        }
+                    });
+                    observer.observe(element);
+                    break;
+                }
+
+                default:
+                    console.warn(`Invalid x-prefetch trigger '${trigger}' on element:`, element);
+            }
+        });
+    }
+
+    /**
+     * Prefetches the GET response of an element so its next action can swap without waiting for the network.
+     * Prefetch requests carry an X-Prefetch header and fail silently.
+     * @param {HTMLElement} element
+     * @returns {Promise<void>}
+     */
+    async prefetch(element) {
+        let requestParams;
+        try {
+            requestParams = this.prepareRequestParams(element, { maxRetries: 0 });
+        } catch (error) {
+            return;
+        }
+
+        if (requestParams.method !== 'GET') {
+            return;
+        }
+
+        // Skip if the same response is already prefetched or being prefetched
+        const url = this.prepareRequestUrl(requestParams.url, requestParams.paramsObject, element);
+        const prefetchKey = this.getCacheKey(url, requestParams.headers, requestParams.paramsObject);
+        const existing = this.prefetches.get(prefetchKey);
+        if (existing && existing.expiresAt > Date.now()) {
+            return;
+        }
+
+        requestParams.headers['X-Prefetch'] = 'true';
+        requestParams.prefetch = this.storePrefetchedResponse(prefetchKey);
+
+        try {
+            await this.performRequest(requestParams);
+            this.dispatchEvent('prefetched', { element, url });
+        } catch (error) {
+            requestParams.prefetch.reject(error);
+            this.dispatchEvent('prefetchFailed', { element, url, error });
+        } finally {
+            // A middleware or hook can end the request before it is sent, an action waiting
+            // for the entry then sends its own request. Settled entries ignore this.
+            requestParams.prefetch.reject(new Error('Prefetch request was not sent'));
+        }
+    }
+
+    /**
+     * Registers a prefetch before its request is sent, so concurrent actions can wait for it.
+     * The entry is resolved with the response promise once the request goes out, and
+     * discarded when it fails or stays unused past the prefetch TTL.
+     * @param {string} prefetchKey
+     * @returns {{promise: Promise<Response>, resolve: Function, reject: Function, expiresAt: number}}
+     */
+    storePrefetchedResponse(prefetchKey) {
+        const entry = { expiresAt: Date.now() + this.prefetchTtl };
+        entry.promise = new Promise((resolve, reject) => {
+            entry.resolve = resolve;
+            entry.reject = reject;
+        });
+        this.prefetches.set(prefetchKey, entry);
+
+        const discard = () => {
+            if (this.prefetches.get(prefetchKey) === entry) {
+                this.prefetches.delete(prefetchKey);
+            }
+        };
+        entry.promise.catch(discard);
+        setTimeout(discard, this.prefetchTtl);
+
+        return entry;
+    }
+
+    /**
+     * Takes a prefetched response out of the store. The promise may still be pending,
+     * in which case the action shares the prefetch request instead of sending its own.
+     * @param {string} prefetchKey
+     * @returns {Promise<Response>|null}
+     */
+    takePrefetchedResponse(prefetchKey) {
+        const entry = this.prefetches.get(prefetchKey);
+        if (!entry) {
+            return null;
+        }
+
+        this.prefetches.delete(prefetchKey);
+        if (entry.expiresAt <= Date.now()) {
+            return null;
+        }
+
+        return entry.promise.then(response => response.clone());
+    }
+
+    // Infinite Scroll Methods
+    // -----------------------
+
+    /**
+     * Sets up infinite scroll on an element.
+     * @param {HTMLElement} parentElement
+     */
+    setupInfiniteScroll(parentElement) {
+        // Check if infinite scroll has been stopped
+        if (parentElement.__infiniteScrollStopped) {
+            return;
+        }
+
+        // Create or find the sentinel element
+        let sentinel = parentElement.__sentinelElement;
+        if (!sentinel) {
+            sentinel = document.createElement('div');
+            sentinel.classList.add('infinite-scroll-sentinel');
+            parentElement.parentNode.insertBefore(sentinel, parentElement.nextSibling);
+            parentElement.__sentinelElement = sentinel;
+        }
+
+        // Set up Intersection Observer on the sentinel
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    // Unobserve to prevent multiple triggers
+                    observer.unobserve(sentinel);
+                    // Execute the action
+                    this.handleInfiniteScrollAction(parentElement).catch(error => {
+                        this.handleError(error, parentElement);
+                    });
+                }
+            });
+        });
+
+        observer.observe(sentinel);
+
+        // Store the observer reference
+        parentElement.__infiniteScrollObserver = observer;
+    }
+
+    /**
+     * Stops the infinite scroll by removing the sentinel and disconnecting the observer.
+     * @param {HTMLElement} parentElement
+     */
+    stopInfiniteScroll(parentElement) {
+        // Remove the sentinel element
+        if (parentElement.__sentinelElement) {
+            parentElement.__sentinelElement.remove();
+            delete parentElement.__sentinelElement;
+        }
+
+        // Set a flag to indicate infinite scroll has stopped
+        parentElement.__infiniteScrollStopped = true;
+
+        // Disconnect the observer
+        if (parentElement.__infiniteScrollObserver) {
+            parentElement.__infiniteScrollObserver.disconnect();
+            delete parentElement.__infiniteScrollObserver;
+        }
+    }
+
+    /**
+     * Handles the action for infinite scroll.
+     * @param {HTMLElement} parentElement
+     */
+    async handleInfiniteScrollAction(parentElement) {
+        const url = parentElement.getAttribute(this.ATTRIBUTES.ACTIONS.GET);
+        if (!url) {
+            console.error('No URL specified for infinite scroll.');
+            return;
+        }
+
+        const requestParams = this.prepareRequestParams(parentElement, { maxRetries: 2 });
+
+        // Set X-Action header if not already set
+        if (!requestParams.headers["X-Action"]) {
+            requestParams.headers["X-Action"] = "infinite-scroll";
+        }
+
+        // Get the params from the last child
+        requestParams.paramsObject = this.getChildParamsObject(parentElement);
+        if (requestParams.paramsObject && Object.keys(requestParams.paramsObject).length > 0) {
+            requestParams.headers["X-Params"] = JSON.stringify(requestParams.paramsObject);
+        }
+
+        try {
+            const responseText = await this.performRequest(requestParams);
+            const targetElement = document.querySelector(requestParams.targetSelector);
+            if (!targetElement) {
+                console.error(`No element found with selector '${requestParams.targetSelector}' for infinite scroll.`);
+                return;
+            }
+
+            await this.processResponse(responseText, targetElement, parentElement);
+
+            // Re-attach the observer to continue loading
+            this.setupInfiniteScroll(parentElement);
+        } catch (error) {
+            this.handleError(error, parentElement, parentElement);
+        }
+    }
+
+    /**
+     * Retrieves parameters from the last child element.
+     * @param {HTMLElement} parentElement
+     * @returns {Object}
+     */
+    getChildParamsObject(parentElement) {
+        // Get x-params from the last child
+        const lastChild = parentElement.lastElementChild;
+        let paramsObject = {};
+        if (lastChild) {
+            const xParamsAttr = lastChild.getAttribute(this.ATTRIBUTES.PARAMS);
+            if (xParamsAttr) {
+                try {
+                    paramsObject = JSON.parse(xParamsAttr);
+                } catch (e) {
+                    console.error('Invalid JSON in x-params attribute of last child:', e);
+                }
+            }
+        }
+
+        return paramsObject;
+    }
+
+    // Toggle Class Methods
+    // --------------------
+
+    /**
+     * Sets up an element with x-toggle-class attribute to toggle a class on a target
+     */
+    setupToggleClass(element) {
+        const toggleClass = element.getAttribute(this.ATTRIBUTES.TOGGLE_CLASS);
+        const toggleTargetSelector = element.getAttribute(this.ATTRIBUTES.TARGET);
+
+        // This element is meant to toggle a class on a target element when triggered
+        const trigger = element.getAttribute(this.ATTRIBUTES.TRIGGER) ||
+            (element.tagName === 'FORM' ? 'submit' : 'click');
+
+        // Remove any previously added listeners to avoid duplication
+        if (!element.__xToggleInitialized) {
+            element.addEventListener(trigger, (event) => {
+                event.preventDefault();
+                const targetElement = document.querySelector(toggleTargetSelector);
+                if (targetElement) {
+                    targetElement.classList.toggle(toggleClass);
+                } else {
+                    console.error(`No element found for selector '${toggleTargetSelector}' to toggle class '${toggleClass}'`);
+                }
+            });
+            element.__xToggleInitialized = true;
+        }
+    }
+
+    // Upload Methods
+    // --------------
+
+    /**
+     * Sets up an element with x-upload attribute to handle file uploads.
+     */
+    setupUpload(element) {
+        // Avoid attaching multiple listeners
+        if (element.__xUploadInitialized) return;
+        const uploader = new PartialUpload({
+            dropzoneSelector: element.querySelector(element.getAttribute(this.ATTRIBUTES.UPLOAD_DROPZONE)),
+            fileInputSelector: element.querySelector(element.getAttribute(this.ATTRIBUTES.UPLOAD_INPUT)),
+            endpoint: element.getAttribute(this.ATTRIBUTES.UPLOAD),
+            resultTarget: element.querySelector(element.getAttribute(this.ATTRIBUTES.TARGET)),
+            swapOption: element.getAttribute(this.ATTRIBUTES.SWAP) || this.defaultSwapOption,
+            partial: this,
+        });
+
+        uploader.init();
+
+        // Mark the element as initialized
+        element.__xUploadInitialized = true;
+
+        const observer = new MutationObserver((mutationsList, obs) => {
+            if (!document.body.contains(element)) {
+                element.__xUploadInitialized = false;
+                uploader.destroy();
+                obs.disconnect();
+            }
+        });
+        observer.observe(document.body, { childList: true, subtree: true });
+    }
+
+
+    // Action Handling Methods
+    // -----------------------
+
+    /**
+     * Handles the action when an element is triggered.
+     * Applies the x-sync strategy when another request is already in flight for the same scope.
+     * @param {Event} event
+     * @param {HTMLElement} element
+     * @returns {Promise<Object|undefined>} The tracked request, unless it was dropped or discarded.
+     */
+    async handleAction(event, element) {
+        // Get a confirmation message from x-confirm, polling and history restores run without asking
+        const isPoll = Boolean(event) && (event.type === 'poll' || event.type === 'restore');
+        const confirmMessage = isPoll ? null : element.getAttribute(this.ATTRIBUTES.CONFIRM);
+        if (confirmMessage) {
+            const confirmed = window.confirm(confirmMessage);
+            if (!confirmed) {
+                return; // Abort the action
+            }
+        }
+
+        const sync = this.getSyncSpec(element);
+        if (!sync) {
+            return this.runTrackedAction(event, element, null);
+        }
+
+        let lane = this.syncLanes.get(sync.scope);
+        if (!lane) {
+            lane = { scope: sync.scope, current: null, queue: [] };
+            this.syncLanes.set(sync.scope, lane);
+        }
+
+        if (lane.current) {
+            switch (sync.strategy) {
+                case this.SYNC_STRATEGIES.DROP:
+                    this.dispatchEvent('requestDropped', { element, scope: sync.scope });
+                    return;
+
+                case this.SYNC_STRATEGIES.ABORT:
+                    lane.current.controller.abort();
+                    break;
+
+                case this.SYNC_STRATEGIES.QUEUE:
+                case this.SYNC_STRATEGIES.REPLACE:
+                    return new Promise((resolve, reject) => {
+                        if (sync.strategy === this.SYNC_STRATEGIES.REPLACE) {
+                            // Only the latest queued request survives
+                            lane.queue.forEach(item => {
+                                this.dispatchEvent('requestDropped', { element: item.element, scope: sync.scope });
+                                item.resolve();
+                            });
+                            lane.queue = [];
+                        }
+
+                        lane.queue.push({
+                            element,
+                            resolve,
+                            run: () => this.runTrackedAction(event, element, lane).then(resolve, reject),
+                        });
+                        this.dispatchEvent('requestQueued', { element, scope: sync.scope });
+                    });
+            }
+        }
+
+        return this.runTrackedAction(event, element, lane);
+    }
+
+    /**
+     * Runs an action while tracking it as in-flight, then releases its sync lane.
+     * @param {Event} event
+     * @param {HTMLElement} element
+     * @param {Object|null} lane - The sync lane the request belongs to, if any.
+     * @returns {Promise<Object>} The tracked request, with its error if it failed.
+     */
+    async runTrackedAction(event, element, lane) {
+        const request = { element, targetElement: null, controller: new AbortController(), settling: false, streaming: false, optimistic: null, error: null };
+        if (lane) {
+            lane.current = request;
+        }
+        this.trackRequest(request);
+
+        try {
+            await this.executeAction(event, element, request);
+            return request;
+        } finally {
+            this.untrackRequest(request);
+            if (lane && lane.current === request) {
+                lane.current = null;
+                const next = lane.queue.shift();
+                if (next) {
+                    next.run();
+                } else {
+                    this.syncLanes.delete(lane.scope);
+                }
+            }
+        }
+    }
+
+    /**
+     * Executes the request for a triggered element and updates the DOM.
+     * @param {Event} event
+     * @param {HTMLElement} element
+     * @param {Object} request - The tracked request holding the AbortController.
+     */
+    async executeAction(event, element, request) {
+        // Get the indicator selector from x-indicator
+        const indicatorSelector = this.getAttributeWithInheritance(element, this.ATTRIBUTES.INDICATOR);
+        let indicatorElement = null;
+        if (indicatorSelector) {
+            indicatorElement = document.querySelector(indicatorSelector);
+        }
+
+        // Get loading class from x-loading-class
+        const loadingClass = this.getAttributeWithInheritance(element, this.ATTRIBUTES.LOADING_CLASS);
+
+        // Handle x-focus
+        const focusEnabled = this.getAttributeWithInheritance(element, this.ATTRIBUTES.FOCUS) !== 'false';
+
+        // The button that submitted a form adds its name and value, and for boosted forms its formaction and formmethod
+        const submitter = this.getSubmitter(event, element);
+
+        // Handle x-push-state, polling and restoring from the URL refresh content in place and never add history entries.
+        // Boosted forms only push the URL of GET submissions, like a native form
+        const isPoll = Boolean(event) && (event.type === 'poll' || event.type === 'restore');
+        const shouldPushState = !isPoll
+            && this.getAttributeWithInheritance(element, this.ATTRIBUTES.PUSH_STATE) !== 'false'
+            && (!element.__xBoosted || this.getMethod(element, submitter) === 'GET');
+
+        // Handle x-push-params, which writes the fields into the page URL instead of pushing the request URL
+        const pushParamsMode = isPoll ? null : this.getPushParamsMode(element);
+
+        // Handle x-timeout
+        const timeoutValue = this.getAttributeWithInheritance(element, this.ATTRIBUTES.TIMEOUT);
+        const timeout = parseInt(timeoutValue, 10);
+
+        // Handle x-retry
+        const retryPolicy = this.getRetryPolicy(element);
+        const maxRetries = retryPolicy.retries;
+
+        // Handle x-stream
+        const streamMode = this.getStreamMode(element);
+
+        const requestParams = this.prepareRequestParams(element, { maxRetries: maxRetries, submitter });
+
+        const targetElement = document.querySelector(requestParams.targetSelector);
+        if (!targetElement) {
+            const error = new Error(`No element found with selector '${requestParams.targetSelector}' for 'x-target' targeting.`);
+            this.handleError(error, element, targetElement);
+            return;
+        }
+        request.targetElement = targetElement;
+
+        // Run all onAction hooks
+        await this.runHooks('onAction', { element, targetElement, partial: this });
+
+        try {
+            // Show the indicator before the request
+            if (indicatorElement) {
+                indicatorElement.style.display = ''; // Or apply a CSS class to show
+            }
+
+            // Add loading class to target element
+            if (loadingClass && targetElement) {
+                targetElement.classList.add(loadingClass);
+            }
+
+            // Dispatch x-before event(s) if specified
+            const beforeEvents = element.getAttribute(this.ATTRIBUTES.BEFORE);
+            if (beforeEvents) {
+                await this.dispatchCustomEvents(beforeEvents, { element, event });
+            }
+
+            // Show the x-optimistic content until the response arrives
+            const optimisticContent = this.getOptimisticContent(element);
+            if (optimisticContent !== null) {
+                const swapOption = this.getAttributeWithInheritance(element, this.ATTRIBUTES.SWAP) || this.defaultSwapOption;
+                // Snapshot of the replaced DOM, restored before the real swap or on failure
+                request.optimistic = this.applyOptimisticUpdate(targetElement, optimisticContent, swapOption);
+            }
+
+            // The pushed URL carries the fields and x-params of the request, so reloading it shows the same content
+            const requestUrl = shouldPushState
+                ? this.prepareRequestUrl(requestParams.url, requestParams.paramsObject, element, submitter)
+                : requestParams.url;
+
+            // Dispatch beforeSend event
+            this.dispatchEvent('beforeSend', { ...requestParams, element });
+
+            // Call performRequest with the correct parameters
+            let responseText;
+            let statusRule = null;
+            try {
+                responseText = await this.performRequest({
+                    ...requestParams,
+                    timeout,
+                    maxRetries,
+                    retryPolicy,
+                    signal: request.controller.signal,
+                    stream: streamMode !== null,
+                });
+            } catch (error) {
+                // Navigation headers are honored on error responses too, e.g. a redirect on an expired session
+                const navigates = Boolean(error.response) && ['X-Redirect', 'X-Refresh', 'X-Location']
+                    .some(name => error.response.headers.has(name));
+
+                statusRule = error.response && !navigates ? this.getStatusRule(element, error.response.status) : null;
+                if (!navigates && (!statusRule || !statusRule.swap)) {
+                    throw error;
+                }
+
+                // The error response is swapped like a regular one, e.g. a form with validation errors
+                this.lastResponse = error.response;
+                responseText = await error.response.text();
+            }
+
+            // Offline mode queued the request for replay, there is nothing to swap.
+            // The optimistic content stays as the expected result of the replay, the queue's `queued` event marks it pending.
+            if (responseText === null) {
+                return;
+            }
+
+            // The response is in, removal of the element or target no longer cancels it.
+            // A streamed response is still being read, removing its target stops the stream.
+            request.settling = true;
+            request.streaming = typeof responseText !== 'string';
+
+            // Dispatch afterReceive event
+            this.dispatchEvent('afterReceive', { response: this.lastResponse, element });
+
+            // Put the original DOM back so the response is swapped exactly as without x-optimistic
+            if (request.optimistic) {
+                this.restoreDomSnapshot(request.optimistic);
+                request.optimistic = null;
+            }
+
+            if (statusRule) {
+                const statusTarget = statusRule.target ? document.querySelector(statusRule.target) : targetElement;
+                if (!statusTarget) {
+                    throw new Error(`No element found with selector '${statusRule.target}' for status ${this.lastResponse.status}.`);
+                }
+
+                await this.processResponse(responseText, statusTarget, element, statusRule.swapOption);
+                this.dispatchEvent('errorSwapped', { element, targetElement: statusTarget, response: this.lastResponse });
+
+                // An error response is no new page state: history and x-after are skipped,
+                // only the focus moves, e.g. to the validation errors
+                if (this.autoFocus && focusEnabled && statusTarget.isConnected) {
+                    if (statusTarget.getAttribute('tabindex') === null) {
+                        statusTarget.setAttribute('tabindex', '-1');
+                    }
+                    statusTarget.focus();
+                }
+                return;
+            }
+
+            // Keep the content being replaced, in case the response adds a history entry
+            const historySnapshot = this.captureHistorySnapshot(targetElement);
+
+            // Process and update the DOM with the response, unless the server navigated elsewhere.
+            // A streamed request resolves with the unread Response instead of its text.
+            const navigation = { signal: request.controller.signal, hops: 0 };
+            const swapped = typeof responseText === 'string'
+                ? await this.processResponse(responseText, targetElement, element, null, navigation)
+                : await this.processStreamResponse(responseText, targetElement, element, streamMode, navigation);
+            request.streaming = false;
+            if (!swapped) {
+                return;
+            }
+
+            // After successfully updating content
+            const swapOption = this.getAttributeWithInheritance(element, this.ATTRIBUTES.SWAP) || this.defaultSwapOption;
+
+            const historyUrl = pushParamsMode ? this.getPushParamsUrl(element) : (shouldPushState ? requestUrl : null);
+            const historyUpdate = this.getHistoryUpdate(this.lastResponse, historyUrl, pushParamsMode === 'replace');
+            // Unchanged fields, e.g. when restored from the URL, add no entry
+            if (historyUpdate && !(pushParamsMode && historyUpdate.url === window.location.href)) {
+                this.updateHistory(historyUpdate, {
+                    partialId: requestParams.partialId,
+                    swapOption: swapOption,
+                    maxRetries: maxRetries,
+                    pushParams: Boolean(pushParamsMode),
+                }, historySnapshot);
+            }
+
+            // Dispatch x-after event(s) if specified
+            const afterEvents = element.getAttribute(this.ATTRIBUTES.AFTER);
+            if (afterEvents) {
+                await this.dispatchCustomEvents(afterEvents, { element, event });
+            }
+
+            // Auto-focus if enabled
+            if (this.autoFocus && focusEnabled) {
+                if (targetElement.getAttribute('tabindex') === null) {
+                    targetElement.setAttribute('tabindex', '-1');
+                }
+                targetElement.focus();
+            }
+        } catch (error) {
+            request.error = error;
+
+            const rolledBack = request.optimistic !== null;
+            if (rolledBack) {
+                this.rollbackOptimisticUpdate(request.optimistic, element, targetElement, error);
+            }
+
+            if (error.name === 'AbortError') {
+                this.dispatchEvent('requestAborted', { element, targetElement });
+                return;
+            }
+
+            // The failed Response, if the server answered at all
+            const response = error.response || null;
+
+            const onErrorAttr = element.getAttribute(this.ATTRIBUTES.ON_ERROR);
+            if (onErrorAttr && typeof window[onErrorAttr] === 'function') {
+                window[onErrorAttr](error, element, response);
+            } else if (typeof this.onError === 'function') {
+                this.onError(error, element, response);
+            } else {
+                // Default error handling, the restored content is kept after a rollback.
+                // A status rule with swap disabled handles the response on purpose and leaves the target untouched.
+                const statusRule = response ? this.getStatusRule(element, response.status) : null;
+                if (!statusRule) {
+                    console.error('Request failed:', error);
+                }
+                if (!rolledBack && !statusRule) {
+                    this.renderErrorMessage(targetElement, error);
+                }
+            }
+        } finally {
+            // Keep the loading state while a request that replaced this one is still running
+            const superseded = Array.from(this.activeRequests).some(active =>
+                active !== request && active.targetElement === targetElement
+            );
+
+            // Hide the indicator after the request completes or fails
+            if (indicatorElement && !superseded) {
+                indicatorElement.style.display = 'none'; // Or remove the CSS class
+            }
+
+            // Remove loading class from target element
+            if (loadingClass && targetElement && !superseded) {
+                targetElement.classList.remove(loadingClass);
+            }
+        }
+    }
+
+    // Status Handling Methods
+    // -----------------------
+
+    /**
+     * Resolves how an error response is handled. Element attributes win over the statusMap option,
+     * and within each the exact status ("422") wins over its class ("4xx") and over "error".
+     * x-target-<status> holds the selector to swap into ("none" to not swap), x-swap-<status> the swap method.
+     * @param {HTMLElement} element
+     * @param {number} status
+     * @returns {StatusRule|null} The rule, or null to handle the response as an error.
+     */
+    getStatusRule(element, status) {
+        const keys = [String(status), `${String(status).charAt(0)}xx`, 'error'];
+
+        const targetKey = keys.find(key => element.hasAttribute(`x-target-${key}`));
+        const swapKey = keys.find(key => element.hasAttribute(`x-swap-${key}`));
+        if (targetKey || swapKey) {
+            const target = targetKey ? element.getAttribute(`x-target-${targetKey}`) : null;
+            return {
+                swap: target !== 'none',
+                target: target || null,
+                swapOption: swapKey ? element.getAttribute(`x-swap-${swapKey}`) : null,
+            };
+        }
+
+        const mapKey = keys.find(key => key in this.statusMap);
+        if (!mapKey) {
+            return null;
+        }
+
+        const entry = this.statusMap[mapKey];
+        if (typeof entry === 'boolean') {
+            return { swap: entry, target: null, swapOption: null };
+        }
+        return {
+            swap: entry.swap !== false,
+            target: entry.target || null,
+            swapOption: entry.swapOption || null,
+        };
+    }
+
+    // Optimistic Update Methods
+    // -------------------------
+
+    /**
+     * Resolves the x-optimistic content: the content of the <template> the attribute points at,
+     * or the attribute value itself as inline HTML.
+     * @param {HTMLElement} element
+     * @returns {string|null}
+     */
+    getOptimisticContent(element) {
+        const optimisticValue = element.getAttribute(this.ATTRIBUTES.OPTIMISTIC);
+        if (optimisticValue === null) {
+            return null;
+        }
+
+        let template = null;
+        try {
+            template = document.querySelector(optimisticValue);
+        } catch (e) {
+            // Not a selector, use the value as inline HTML
+        }
+
+        return template instanceof HTMLTemplateElement ? template.innerHTML : optimisticValue;
+    }
+
+    /**
+     * Swaps the optimistic content into the target and returns a snapshot of the replaced DOM.
+     * The snapshot holds the original nodes themselves, so listeners and state survive a restore.
+     * Only the nodes this swap removed and inserted are recorded, so concurrent updates of siblings are kept.
+     * @param {HTMLElement} targetElement
+     * @param {string} content
+     * @param {string} swapOption
+     * @returns {DomSnapshot}
+     */
+    applyOptimisticUpdate(targetElement, content, swapOption) {
+        // Morphing would patch the snapshot nodes in place, so the optimistic content is swapped without it
+        if (swapOption === 'morph' || swapOption === 'morph:outerHTML') {
+            swapOption = 'outerHTML';
+        } else if (swapOption === 'morph:innerHTML') {
+            swapOption = 'innerHTML';
+        }
+
+        // Modes that change the target's siblings are diffed on the parent
+        const changesSiblings = ['outerHTML', 'beforebegin', 'afterend'].includes(swapOption);
+        const container = changesSiblings ? targetElement.parentNode : targetElement;
+        const nodesBefore = Array.from(container.childNodes);
+
+        this.performSwap(targetElement, content, swapOption);
+
+        const nodesAfter = new Set(container.childNodes);
+        const removed = nodesBefore.filter(node => !nodesAfter.has(node));
+        const before = new Set(nodesBefore);
+        const inserted = Array.from(nodesAfter).filter(node => !before.has(node));
+
+        // Where the removed nodes go back if the optimistic content is gone by then
+        const lastRemoved = removed[removed.length - 1];
+        const next = lastRemoved ? nodesBefore[nodesBefore.indexOf(lastRemoved) + 1] || null : null;
+
+        return { container, removed, inserted, next };
+    }
+
+    /**
+     * Puts the nodes removed by a swap back in place and removes the nodes it inserted.
+     * Other nodes of the container are left untouched.
+     * @param {DomSnapshot} snapshot
+     */
+    restoreDomSnapshot(snapshot) {
+        const { container, removed, inserted, next } = snapshot;
+        const anchor = inserted.find(node => node.parentNode === container)
+            || (next && next.parentNode === container ? next : null);
+
+        removed.forEach(node => container.insertBefore(node, anchor));
+        inserted.forEach(node => node.remove());
+    }
+
+    /**
+     * Restores the DOM from before the optimistic update and dispatches a rollback event.
+     * @param {DomSnapshot} snapshot
+     * @param {HTMLElement} element
+     * @param {HTMLElement} targetElement
+     * @param {Error} error
+     */
+    rollbackOptimisticUpdate(snapshot, element, targetElement, error) {
+        this.restoreDomSnapshot(snapshot);
+        this.scanForElements(snapshot.container);
+        this.dispatchEvent('rollback', { element, targetElement, error });
+    }
+
+    // Request Synchronization Methods
+    // -------------------------------
+
+    /**
+     * Resolves the x-sync strategy and the scope element whose requests it synchronizes.
+     * Accepts "<strategy>" or "<scope>:<strategy>", where scope is "this", "target" (default) or a CSS selector.
+     * @param {HTMLElement} element
+     * @returns {{scope: Element, strategy: string}|null}
+     */
+    getSyncSpec(element) {
+        const syncValue = this.getAttributeWithInheritance(element, this.ATTRIBUTES.SYNC);
+        if (!syncValue) {
+            return null;
+        }
+
+        const separatorIndex = syncValue.lastIndexOf(':');
+        const scopeValue = separatorIndex === -1 ? 'target' : syncValue.substring(0, separatorIndex).trim();
+        const strategy = syncValue.substring(separatorIndex + 1).trim();
+
+        if (!Object.values(this.SYNC_STRATEGIES).includes(strategy)) {
+            console.warn(`Invalid x-sync strategy '${strategy}' on element:`, element);
+            return null;
+        }
+
+        let scope;
+        if (scopeValue === 'this') {
+            scope = element.closest(`[${this.ATTRIBUTES.SYNC}]`);
+        } else if (scopeValue === 'target') {
+            scope = document.querySelector(this.getTargetSelector(element));
+        } else {
+            scope = document.querySelector(scopeValue);
+        }
+
+        if (!scope) {
+            console.warn(`No element found for x-sync scope '${scopeValue}' on element:`, element);
+            return null;
+        }
+
+        return { scope, strategy };
+    }
+
+    /**
+     * Registers an in-flight request and starts watching the DOM for its element or target being removed.
+     * @param {Object} request
+     */
+    trackRequest(request) {
+        this.activeRequests.add(request);
+
+        if (!this.requestObserver) {
+            this.requestObserver = new MutationObserver(() => this.cancelDetachedRequests());
+            this.requestObserver.observe(document.body, { childList: true, subtree: true });
+        }
+    }
+
+    /**
+     * Unregisters a finished request and stops watching the DOM once nothing is in flight.
+     * @param {Object} request
+     */
+    untrackRequest(request) {
+        this.activeRequests.delete(request);
+
+        if (this.activeRequests.size === 0 && this.requestObserver) {
+            this.requestObserver.disconnect();
+            this.requestObserver = null;
+        }
+    }
+
+    /**
+     * Aborts in-flight requests and discards queued ones whose element or target left the DOM.
+     */
+    cancelDetachedRequests() {
+        const isDetached = (node) => node && !document.body.contains(node);
+
+        this.activeRequests.forEach(request => {
+            // A stream swaps into its target, which may replace the element that requested it
+            if (request.streaming) {
+                if (isDetached(request.targetElement)) {
+                    request.controller.abort();
+                }
+                return;
+            }
+            if (request.settling) {
+                return;
+            }
+
+            // An optimistic update detaches the element or target on purpose, the snapshot holds them.
+            // Once they or the snapshot's container are really gone, there is nothing to roll back into
+            const snapshot = request.optimistic;
+            if (snapshot) {
+                const isHeld = (node) => snapshot.removed.some(removed => removed.contains(node));
+                if (isDetached(snapshot.container)
+                    || [request.element, request.targetElement].some(node => isDetached(node) && !isHeld(node))) {
+                    request.optimistic = null;
+                    request.controller.abort();
+                }
+                return;
+            }
+
+            if (isDetached(request.element) || isDetached(request.targetElement)) {
+                request.controller.abort();
+            }
+        });
+
+        this.syncLanes.forEach(lane => {
+            lane.queue = lane.queue.filter(item => {
+                if (isDetached(item.element)) {
+                    item.resolve();
+                    return false;
+                }
+                return true;
+            });
+        });
+    }
+
+    /**
+     * Aborts in-flight requests issued by or targeting the element and discards its queued requests.
+     * @param {HTMLElement} element
+     */
+    abort(element) {
+        this.activeRequests.forEach(request => {
+            if (request.element === element || request.targetElement === element) {
+                request.controller.abort();
+            }
+        });
+
+        this.syncLanes.forEach(lane => {
+            lane.queue = lane.queue.filter(item => {
+                if (item.element === element || lane.scope === element) {
+                    item.resolve();
+                    return false;
+                }
+                return true;
+            });
+        });
+    }
+
+    // Request Preparation Methods
+    // ---------------------------
+
+    /**
+     * Prepares the request parameters for the Fetch API.
+     * @param {HTMLElement} element
+     * @param {Object} [additionalParams={}]
+     * @returns {RequestParams} Request parameters
+     */
+    prepareRequestParams(element, additionalParams = {}) {
+        const requestParams = this.extractRequestParams(element, additionalParams.submitter || null);
+        requestParams.element = element;
+
+        if (!requestParams.url) {
+            throw new Error(`No URL specified for method ${requestParams.method} on element.`);
+        }
+
+        const targetElement = document.querySelector(requestParams.targetSelector);
+        if (!targetElement) {
+            throw new Error(`No element found with selector '${requestParams.targetSelector}' for 'x-target' targeting.`);
+        }
+
+        if (!requestParams.partialId) {
+            throw new Error(`Target element does not have an 'id' attribute.`);
+        }
+
+        // Set the X-Target header
+        requestParams.headers["X-Target"] = requestParams.partialId;
+
+        // Merge additional parameters
+        Object.assign(requestParams, additionalParams);
+
+        return requestParams;
+    }
+
+    /**
+     * Extracts request parameters from the element.
+     * @param {HTMLElement} element
+     * @param {HTMLElement|null} [submitter=null] - The button that submitted the element's form.
+     * @returns {RequestParams} Parameters including method, url, headers, body, etc.
+     */
+    extractRequestParams(element, submitter = null) {
+        const method = this.getMethod(element, submitter);
+        const actionAttr = `x-${method.toLowerCase()}`;
+        let url = element.__xBoosted
+            ? this.getBoostUrl(/** @type {HTMLAnchorElement|HTMLFormElement} */ (element), submitter)
+            : this.getAttributeWithInheritance(element, actionAttr);
+
+        const headers = this.getHeaders(element);
+        if (element.__xBoosted) {
+            headers['X-Boosted'] = 'true';
+        }
+
+        const targetSelector = this.getTargetSelector(element);
+
+        const targetElement = document.querySelector(targetSelector);
+        const partialId = targetElement ? targetElement.getAttribute('id') : null;
+
+        const xParams = this.getAttributeWithInheritance(element, this.ATTRIBUTES.PARAMS);
+        let paramsObject = {};
+
+        if (xParams) {
+            try {
+                paramsObject = JSON.parse(xParams);
+            } catch (e) {
+                const error = new Error('Invalid JSON in x-params attribute');
+                this.handleError(error, element, targetElement);
+            }
+        }
+
+        return { method, url, headers, targetSelector, partialId, paramsObject };
+    }
+
+    /**
+     * Resolves the target selector from x-target, falling back to the element's own id or the body.
+     * @param {HTMLElement} element
+     * @returns {string}
+     */
+    getTargetSelector(element) {
+        const targetSelector = this.getAttributeWithInheritance(element, this.ATTRIBUTES.TARGET);
+        if (targetSelector) {
+            return targetSelector;
+        }
+        // Boosted links and forms update their x-boost container
+        if (element.__xBoosted) {
+            const container = element.closest(`[${this.ATTRIBUTES.BOOST}]`);
+            return container && container.id ? `#${container.id}` : "body";
+        }
+        return element.id ? `#${element.id}` : "body";
+    }
+
+    /**
+     * Determines the HTTP method based on the element's attributes.
+     * @param {HTMLElement} element
+     * @param {HTMLElement|null} [submitter=null] - The button that submitted a boosted form.
+     * @returns {string} HTTP method
+     */
+    getMethod(element, submitter = null) {
+        if (element.__xBoosted) {
+            return element instanceof HTMLFormElement && this.getBoostMethod(element, submitter) === 'post' ? 'POST' : 'GET';
+        }
+        for (const attr of Object.values(this.ATTRIBUTES.ACTIONS)) {
+            if (this.hasAttributeWithInheritance(element, attr)) {
+                return attr.replace('x-', '').toUpperCase();
+            }
+        }
+        return 'GET'; // Default method
+    }
+
+    /**
+     * Constructs the headers option, CSRF and attribute headers of the element.
+     * x-headers is merged later by prepareRequestHeaders, so it also wins over internal headers.
+     * @param {HTMLElement} element
+     * @returns {Object} Headers object
+     */
+    getHeaders(element) {
+        const headers = {};
+
+        for (const [name, value] of Object.entries(this.defaultHeaders)) {
+            const resolved = typeof value === 'function' ? value(element) : value;
+            if (resolved !== null && resolved !== undefined) {
+                headers[name] = String(resolved);
+            }
+        }
+
+        if (this.csrfToken) {
+            if (typeof this.csrfToken === 'function') {
+                headers['X-CSRF-Token'] = this.csrfToken();
+            } else {
+                headers['X-CSRF-Token'] = this.csrfToken;
+            }
+        }
+
+        // Only attributes the header policy lets through are sent
+        for (const attr of element.attributes) {
+            if (!this.isHeaderAttribute(attr.name)) {
+                continue;
+            }
+            const name = this.getHeaderName(attr.name);
+            if (this.isValidHeaderName(name)) {
+                headers[name] = attr.value;
+            } else {
+                console.warn(`Attribute '${attr.name}' is not a valid header name and is not sent.`);
+            }
+        }
+
+        return headers;
+    }
+
+    /**
+     * Checks whether the header policy sends an attribute as request header. Only allowlisted x-* attributes
+     * are sent, as other libraries use x-* attributes too (x-data, x-on:click), and the denylist wins.
+     * @param {string} name
+     * @returns {boolean}
+     */
+    isHeaderAttribute(name) {
+        if (!name.startsWith('x-') || this.headerPolicy.deny.includes(name)) {
+            return false;
+        }
+        return Boolean(this.headerPolicy.allow) && this.headerPolicy.allow.includes(name);
+    }
+
+    /**
+     * Checks whether a name is a valid HTTP header name, which fetch would otherwise reject.
+     * @param {string} name
+     * @returns {boolean}
+     */
+    isValidHeaderName(name) {
+        return /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(name);
+    }
+
+    /**
+     * Maps an attribute name to its header name: x-foo-bar becomes X-Foo-Bar.
+     * @param {string} name
+     * @returns {string}
+     */
+    getHeaderName(name) {
+        return name.split('-').map(part => this.capitalize(part)).join('-');
+    }
+
+    /**
+     * Merges the x-headers objects of the element and its ancestors, inner ones win.
+     * Values starting with $ are resolved with the providers registered with addHeaderValue.
+     * A null value removes a header set further out, by the headers option or by Partial.
+     * Invalid header names are skipped.
+     * @param {HTMLElement} element
+     * @returns {Object<string, string|null>}
+     */
+    getHeadersAttribute(element) {
+        const declarations = [];
+        let currentElement = element;
+        while (currentElement) {
+            if (currentElement.hasAttribute('x-headers')) {
+                declarations.unshift(currentElement.getAttribute('x-headers'));
+            }
+            currentElement = currentElement.parentElement;
+        }
+
+        const headers = {};
+        for (const declaration of declarations) {
+            let parsed;
+            try {
+                parsed = JSON.parse(declaration);
+            } catch (e) {
+                console.warn(`Invalid JSON in x-headers attribute: ${declaration}`);
+                continue;
+            }
+
+            for (const [name, value] of Object.entries(parsed)) {
+                if (!this.isValidHeaderName(name)) {
+                    console.warn(`Invalid header name '${name}' in x-headers attribute.`);
+                    continue;
+                }
+                headers[name] = this.resolveHeaderValue(value, element);
+            }
+        }
+        return headers;
+    }
+
+    /**
+     * Resolves an x-headers value, calling the provider of a $name reference.
+     * @param {*} value
+     * @param {HTMLElement} element
+     * @returns {string|null} The header value, or null to omit the header.
+     */
+    resolveHeaderValue(value, element) {
+        if (value === null || value === undefined) {
+            return null;
+        }
+        if (typeof value === 'string' && value.startsWith('$')) {
+            const provider = this.headerValues[value.substring(1)];
+            if (!provider) {
+                console.warn(`Unknown header value '${value}' in x-headers`);
+                return null;
+            }
+            value = provider(element);
+            if (value === null || value === undefined) {
+                return null;
+            }
+        }
+        return String(value);
+    }
+
+    // Utility Methods
+    // ---------------
+
+    /**
+     * Retrieves the value of an attribute from the element or its ancestors.
+     * @param {HTMLElement} element
+     * @param {string} attributeName
+     * @returns {string|null}
+     */
+    getAttributeWithInheritance(element, attributeName) {
+        if (!this.INHERITABLE_ATTRIBUTES.includes(attributeName)) {
+            return element.getAttribute(attributeName);
+        }
+
+        let currentElement = element;
+        while (currentElement) {
+            if (currentElement.hasAttribute(attributeName)) {
+                return currentElement.getAttribute(attributeName);
+            }
+            currentElement = currentElement.parentElement;
+        }
+        return null;
+    }
+
+    /**
+     * Checks if an attribute exists on the element or its ancestors.
+     * @param {HTMLElement} element
+     * @param {string} attributeName
+     * @returns {boolean}
+     */
+    hasAttributeWithInheritance(element, attributeName) {
+        return this.getAttributeWithInheritance(element, attributeName) !== null;
+    }
+
+    /**
+     * Capitalizes the first letter of the string.
+     * @param {string} str
+     * @returns {string}
+     */
+    capitalize(str) {
+        return str.charAt(0).toUpperCase() + str.slice(1);
+    }
+
+    /**
+     * Parses a duration such as "300ms", "10s" or "5m". A bare number is taken as milliseconds.
+     * @param {string} value
+     * @returns {number|null} Duration in milliseconds, or null if the value is invalid.
+     */
+    parseDuration(value) {
+        const match = /^(\d+(?:\.\d+)?)(ms|s|m)?$/.exec(String(value).trim());
+        if (!match) {
+            return null;
+        }
+
+        const amount = parseFloat(match[1]);
+        switch (match[2]) {
+            case 's':
+                return amount * 1000;
+            case 'm':
+                return amount * 60000;
+            default:
+                return amount;
+        }
+    }
+
+    /**
+     * Debounce function to limit the rate at which a function can fire.
+     * @param {Function} func - The function to debounce.
+     * @param {number} wait - The number of milliseconds to wait.
+     * @returns {Function}
+     */
+    debounce(func, wait) {
+        let timeout;
+        return (...args) => {
+            const later = () => {
+                clearTimeout(timeout);
+                func.apply(this, args);
+            };
+            clearTimeout(timeout);
+            timeout = setTimeout(later, wait);
+        };
+    }
+
+    // Request Execution Methods
+    // -------------------------
+
+    /**
+     * Prepares the request body based on the element's attributes.
+     * @param element
+     * @param serializeType
+     * @param paramsObject
+     * @param {HTMLElement|null} [submitter=null] - The button that submitted the element's form.
+     * @returns {FormData|null|string}
+     */
+    prepareRequestBody(element, serializeType, paramsObject, submitter = null) {
+        const method = element ? this.getMethod(element, submitter) : 'GET';
+        const isWriteMethod = ['POST', 'PUT', 'PATCH', 'DELETE'].includes(method);
+
+        // GET requests carry no body, prepareRequestUrl puts the form fields in the query
+        if (!isWriteMethod) {
+            return null;
+        }
+
+        // Check for x-json attribute
+        const xJson = element && element.getAttribute(this.ATTRIBUTES.JSON);
+        const include = element && this.getAttributeWithInheritance(element, this.ATTRIBUTES.INCLUDE);
+        const hasParams = paramsObject && Object.keys(paramsObject).length > 0;
+
+        if (xJson) {
+            // If x-json is provided, we use it directly
+            let bodyData;
+            try {
+                bodyData = JSON.parse(xJson);
+            } catch (e) {
+                console.error('Invalid JSON in x-json attribute:', e);
+                throw new Error('Invalid JSON in x-json attribute');
+            }
+
+            // Included fields lie below x-json, the element's form is not serialized
+            if (include) {
+                const fields = this.getRequestFields(element, false);
+                const serialized = serializeType === 'nested-json'
+                    ? Serializer.serializeEntriesToNestedJson(fields)
+                    : Serializer.serializeEntriesToJson(fields);
+                bodyData = { ...JSON.parse(serialized), ...bodyData };
+            }
+
+            if (hasParams) {
+                bodyData = { ...bodyData, ...paramsObject };
+            }
+            return JSON.stringify(bodyData);
+        }
+
+        // If no x-json provided, we rely on form data and included fields
+        const form = element && (element.tagName === 'FORM' ? element : element.closest('form'));
+        const isSerialized = serializeType === 'json' || serializeType === 'nested-json' || serializeType === 'xml';
+
+        if (!(form instanceof HTMLFormElement) && !include) {
+            throw new Error(isSerialized
+                ? `Expected an HTMLFormElement for body serialization, but none found.`
+                : `Expected an HTMLFormElement for FormData, but none found.`);
+        }
+
+        const fields = this.getRequestFields(element, true, submitter);
+
+        if (serializeType === 'json' || serializeType === 'nested-json') {
+            let body = serializeType === 'json'
+                ? Serializer.serializeEntriesToJson(fields)
+                : Serializer.serializeEntriesToNestedJson(fields);
+
+            if (hasParams) {
+                body = JSON.stringify({ ...JSON.parse(body), ...paramsObject });
+            }
+            return body;
+        }
+
+        // XML and FormData take x-params as flat fields, replacing fields of the same name
+        const entries = hasParams ? this.mergeEntries(fields, this.encodeParams(paramsObject)) : fields;
+        if (serializeType === 'xml') {
+            return Serializer.serializeEntriesToXml(entries);
+        }
+
+        // Default: FormData
+        const bodyData = new FormData();
+        entries.forEach(([key, value]) => bodyData.append(key, value));
+        return bodyData;
+    }
+
+    /**
+     * Prepares the request URL with query parameters. GET requests add the fields of the element's form,
+     * or of the element itself outside a form, and of x-include, with repeated names as repeated keys.
+     * Each source replaces the keys of the previous one: URL query, then fields, then x-params.
+     * @param {string} url
+     * @param {Object} paramsObject
+     * @param {HTMLElement|null} [element=null]
+     * @param {HTMLElement|null} [submitter=null] - The button that submitted the element's form.
+     * @returns {string}
+     */
+    prepareRequestUrl(url, paramsObject, element = null, submitter = null) {
+        const sources = [];
+
+        if (element && !['POST', 'PUT', 'PATCH', 'DELETE'].includes(this.getMethod(element, submitter))) {
+            // Files and passwords never go into a URL
+            sources.push(this.getRequestFields(element, true, submitter).filter(([, value, field]) =>
+                typeof value === 'string' && !(field instanceof HTMLInputElement && field.type === 'password')));
+        }
+        if (paramsObject && Object.keys(paramsObject).length > 0) {
+            sources.push(this.encodeParams(paramsObject));
+        }
+
+        if (sources.every(entries => entries.length === 0)) {
+            return url;
+        }
+        return this.mergeUrlParams(url, sources);
+    }
+
+    /**
+     * Collects the fields sent with a request: those of the element's form, replaced by name by those of
+     * the x-include sources in document order, minus the x-exclude names.
+     * @param {HTMLElement} element
+     * @param {boolean} [includeForm=true] - Whether the element's own form is serialized.
+     * @param {HTMLElement|null} [submitter=null] - The button that submitted the form, whose name and value are added.
+     * @returns {Array<[string, string|File, HTMLElement|null]>} Name, value and field of each entry
+     */
+    getRequestFields(element, includeForm = true, submitter = null) {
+        let fields = includeForm ? this.getFieldEntries(element, submitter) : [];
+
+        const include = this.getAttributeWithInheritance(element, this.ATTRIBUTES.INCLUDE);
+        if (include) {
+            let sources = [];
+            try {
+                sources = Array.from(document.querySelectorAll(include));
+            } catch (e) {
+                console.warn(`Invalid selector '${include}' in x-include attribute`);
+            }
+            // Fields inside another matched source are already part of it
+            const included = sources
+                .filter(source => !sources.some(other => other !== source && other.contains(source)))
+                .flatMap(source => this.getSourceEntries(source));
+            fields = this.mergeEntries(fields, included);
+        }
+
+        const exclude = this.getAttributeWithInheritance(element, this.ATTRIBUTES.EXCLUDE);
+        if (exclude) {
+            const names = exclude.split(',').map(name => name.trim());
+            fields = fields.filter(([name]) => !names.includes(name));
+        }
+
+        return fields;
+    }
+
+    /**
+     * Returns the fields of the element's form, or the element's own value if it is a named field.
+     * GET requests only send the form when they submit it: the element is the form, or one of its submit buttons
+     * if the form itself is a GET form. Links, fields or polling elements inside a form do not send the whole form,
+     * and neither do buttons inside a POST form, whose fields, e.g. a CSRF token, must not end up in a URL.
+     * @param {HTMLElement} element
+     * @param {HTMLElement|null} [submitter=null]
+     * @returns {Array<[string, string|File, HTMLElement|null]>}
+     */
+    getFieldEntries(element, submitter = null) {
+        const form = element.tagName === 'FORM' ? element : element.closest('form');
+        if (!(form instanceof HTMLFormElement)) {
+            return this.getControlEntries(element);
+        }
+
+        const isSubmitButton = this.isSubmitButton(element) && /** @type {HTMLButtonElement} */ (element).form === form;
+        if (form === element || (isSubmitButton && !this.isWriteForm(form))
+            || ['POST', 'PUT', 'PATCH', 'DELETE'].includes(this.getMethod(element, submitter))) {
+            return Serializer.getFormEntries(form, submitter || (isSubmitButton ? element : null));
+        }
+        return this.getControlEntries(element);
+    }
+
+    /**
+     * Checks whether a form sends a write request, natively with method="post" or through its own action attributes.
+     * @param {HTMLFormElement} form
+     * @returns {boolean}
+     */
+    isWriteForm(form) {
+        return form.method === 'post' || ['POST', 'PUT', 'PATCH', 'DELETE'].includes(this.getMethod(form));
+    }
+
+    /**
+     * Checks whether an element is a button that submits its form.
+     * @param {Element} element
+     * @returns {boolean}
+     */
+    isSubmitButton(element) {
+        return (element instanceof HTMLButtonElement && element.type === 'submit')
+            || (element instanceof HTMLInputElement && (element.type === 'submit' || element.type === 'image'));
+    }
+
+    /**
+     * Returns the fields of an x-include source: a form, a single field or a container of fields.
+     * @param {Element} source
+     * @returns {Array<[string, string|File, HTMLElement|null]>}
+     */
+    getSourceEntries(source) {
+        if (source instanceof HTMLFormElement) {
+            return Serializer.getFormEntries(source);
+        }
+        if (source.matches('input, select, textarea')) {
+            return this.getControlEntries(source);
+        }
+        return Array.from(source.querySelectorAll('input, select, textarea'))
+            .flatMap(control => this.getControlEntries(control));
+    }
+
+    /**
+     * Returns the values a single field submits, following the rules of a form submission.
+     * @param {Element} control
+     * @returns {Array<[string, string|File, HTMLElement]>}
+     */
+    getControlEntries(control) {
+        if (!(control instanceof HTMLInputElement || control instanceof HTMLSelectElement || control instanceof HTMLTextAreaElement)
+            || !control.name || control.disabled) {
+            return [];
+        }
+        if (control instanceof HTMLSelectElement) {
+            return Array.from(control.selectedOptions).map(option => [control.name, option.value, control]);
+        }
+        if (['submit', 'button', 'reset', 'image'].includes(control.type)) {
+            return [];
+        }
+        if ((control.type === 'checkbox' || control.type === 'radio') && !control.checked) {
+            return [];
+        }
+        if (control instanceof HTMLInputElement && control.type === 'file') {
+            return Array.from(control.files || []).map(file => [control.name, file, control]);
+        }
+        return [[control.name, control.value, control]];
+    }
+
+    /**
+     * Adds entries to a list, replacing the entries of the same names.
+     * @param {Array} base
+     * @param {Array} entries
+     * @returns {Array}
+     */
+    mergeEntries(base, entries) {
+        const names = new Set(entries.map(([name]) => name));
+        return [...base.filter(([name]) => !names.has(name)), ...entries];
+    }
+
+    /**
+     * Flattens params into key/value pairs. Nested objects and arrays follow the paramsEncoding option:
+     * brackets (user[name]=a, tags[]=x), dots (user.name=a, tags=x) or json (user={"name":"a"}).
+     * Arrays of objects are indexed in both brackets and dots (items[0][id], items[0].id).
+     * @param {Object} params
+     * @param {string} [encoding]
+     * @returns {Array<[string, string]>}
+     */
+    encodeParams(params, encoding = this.paramsEncoding) {
+        const entries = [];
+
+        const add = (key, value) => {
+            if (value === undefined) {
+                return;
+            }
+            if (value === null || typeof value !== 'object') {
+                entries.push([key, value === null ? '' : String(value)]);
+                return;
+            }
+            if (encoding === 'json') {
+                entries.push([key, JSON.stringify(value)]);
+                return;
+            }
+            if (Array.isArray(value)) {
+                value.forEach((item, index) => {
+                    if (item !== null && typeof item === 'object') {
+                        add(`${key}[${index}]`, item);
+                    } else {
+                        add(encoding === 'dots' ? key : `${key}[]`, item);
+                    }
+                });
+                return;
+            }
+            Object.entries(value).forEach(([name, item]) => {
+                add(encoding === 'dots' ? `${key}.${name}` : `${key}[${name}]`, item);
+            });
+        };
+
+        Object.entries(params).forEach(([key, value]) => add(key, value));
+        return entries;
+    }
+
+    /**
+     * Merges key/value pairs into the query of a URL, relative or absolute. Every source removes
+     * the keys it sets from the query before adding its values, so no key ends up twice.
+     * @param {string} url
+     * @param {Array<Array<[string, string]>>} sources
+     * @returns {string}
+     */
+    mergeUrlParams(url, sources) {
+        const hashIndex = url.indexOf('#');
+        const hash = hashIndex === -1 ? '' : url.substring(hashIndex);
+        const base = hashIndex === -1 ? url : url.substring(0, hashIndex);
+
+        const queryIndex = base.indexOf('?');
+        const path = queryIndex === -1 ? base : base.substring(0, queryIndex);
+        const query = new URLSearchParams(queryIndex === -1 ? '' : base.substring(queryIndex + 1));
+
+        sources.forEach(entries => {
+            new Set(entries.map(([key]) => key)).forEach(key => query.delete(key));
+            entries.forEach(([key, value]) => query.append(key, value));
+        });
+
+        const queryString = query.toString();
+        return path + (queryString ? `?${queryString}` : '') + hash;
+    }
+
+    /**
+     * Prepares the request headers with CSRF token and additional headers.
+     * @param element
+     * @param defaultHeaders
+     * @returns {{}}
+     */
+    prepareRequestHeaders(element, defaultHeaders = {}) {
+        const headers = { ...defaultHeaders };
+
+        if (this.csrfToken) {
+            headers['X-CSRF-Token'] =
+                typeof this.csrfToken === 'function' ? this.csrfToken() : this.csrfToken;
+        }
+
+        if (element) {
+            for (const [name, value] of Object.entries(this.getHeadersAttribute(element))) {
+                // Markup can neither drop nor replace the CSRF token
+                if (this.csrfToken && name.toLowerCase() === 'x-csrf-token') {
+                    console.warn('x-headers cannot change the X-CSRF-Token header, the declaration is ignored.');
+                    continue;
+                }
+                if (value === null) {
+                    delete headers[name];
+                } else {
+                    headers[name] = value;
+                }
+            }
+        }
+
+        return headers;
+    }
+
+    /**
+     * Performs the core request using Fetch API with timeout and retries.
+     * Each attempt gets its own AbortController so a timeout only cancels that attempt.
+     * @param {RequestParams} requestParams
+     * @returns {Promise<Response>}
+     */
+    async performRequestCore(requestParams) {
+        const { method, url, headers, body, timeout, maxRetries, signal, element, credentials } = requestParams;
+        const policy = requestParams.retryPolicy || this.getRetryPolicy(element, maxRetries);
+
+        let attempt = 0;
+        while (true) {
+            attempt++;
+
+            const controller = new AbortController();
+            // Propagate cancellation from the caller (x-sync, abort(), element removal)
+            const abortAttempt = () => controller.abort();
+            if (signal) {
+                if (signal.aborted) {
+                    controller.abort();
+                } else {
+                    signal.addEventListener('abort', abortAttempt, { once: true });
+                }
+            }
+
+            let timedOut = false;
+            const timeoutId = timeout
+                ? setTimeout(() => {
+                    timedOut = true;
+                    controller.abort();
+                }, timeout)
+                : null;
+
+            let response = null;
+            let failure = null;
+            try {
+                response = await fetch(url, { method, headers, body, credentials, signal: controller.signal });
+            } catch (error) {
+                if (signal && signal.aborted) {
+                    throw error;
+                }
+                failure = timedOut ? new Error('Request timed out') : error;
+            } finally {
+                if (timeoutId) clearTimeout(timeoutId);
+                if (signal) signal.removeEventListener('abort', abortAttempt);
+            }
+
+            // A 304 only means "unchanged" for a conditional request
+            const conditional = Boolean(headers && (headers['If-None-Match'] || headers['If-Modified-Since']));
+            if (response && (response.ok || (response.status === 304 && conditional))) {
+                // Successfully got a response
+                return response;
+            }
+
+            if (attempt > policy.retries || !this.isRetryable(policy, response, failure)) {
+                if (failure) {
+                    throw failure;
+                }
+                // Fetch succeeded but HTTP error, the unread Response is kept for status handling
+                const text = await response.clone().text();
+                const error = new Error(`HTTP error ${response.status}: ${text}`);
+                error.status = response.status;
+                error.response = response;
+                throw error;
+            }
+
+            const delay = this.getRetryDelay(policy, attempt, response);
+            this.dispatchEvent('retry', {
+                element,
+                url,
+                attempt,
+                maxRetries: policy.retries,
+                delay,
+                status: response ? response.status : null,
+                error: failure,
+            });
+
+            await this.wait(delay, signal);
+        }
+    }
+
+    // Origin Policy Methods
+    // ---------------------
+
+    /**
+     * Applies the origin policy to an outgoing request. The own origin and trustedOrigins are trusted,
+     * allowedOrigins may be requested without credentials, any other origin is blocked.
+     * @param {string} url
+     * @param {HTMLElement|null} [element]
+     * @returns {{trusted: boolean, credentials: RequestCredentials}}
+     * @throws {Error} A SecurityError if the origin is not allowed, after dispatching securityViolation.
+     */
+    checkOrigin(url, element = null) {
+        const origin = new URL(url, window.location.href).origin;
+
+        if (origin === window.location.origin) {
+            return { trusted: true, credentials: 'same-origin' };
+        }
+        if (this.trustedOrigins.includes(origin)) {
+            return { trusted: true, credentials: 'include' };
+        }
+        if (this.allowedOrigins.includes(origin)) {
+            return { trusted: false, credentials: 'omit' };
+        }
+
+        this.dispatchEvent('securityViolation', { element, url, origin, reason: 'origin' });
+
+        const error = new Error(`Blocked request to '${url}', the origin '${origin}' is not allowed.`);
+        error.name = 'SecurityError';
+        throw error;
+    }
+
+    /**
+     * Removes the sensitive headers, matched case-insensitively, from a headers object.
+     * @param {Object} headers
+     */
+    removeSensitiveHeaders(headers) {
+        const sensitive = this.sensitiveHeaders.map(name => name.toLowerCase());
+        Object.keys(headers).forEach(name => {
+            if (sensitive.includes(name.toLowerCase())) {
+                delete headers[name];
+            }
+        });
+    }
+
+    // Retry Methods
+    // -------------
+
+    /**
+     * Builds the retry policy for a request from the global policy and the element's x-retry attribute.
+     * x-retry accepts either a retry count or a JSON object overriding any policy field.
+     * @param {HTMLElement|null} element
+     * @param {number} [retries] - Explicit retry count overriding the policy.
+     * @returns {RetryPolicy}
+     */
+    getRetryPolicy(element, retries) {
+        const policy = { ...this.retryPolicy };
+
+        const retryValue = element ? this.getAttributeWithInheritance(element, this.ATTRIBUTES.RETRY) : null;
+        if (retryValue) {
+            if (retryValue.trim().startsWith('{')) {
+                try {
+                    Object.assign(policy, JSON.parse(retryValue));
+                } catch (e) {
+                    console.warn(`Invalid JSON in x-retry attribute on element:`, element);
+                }
+            } else {
+                const parsedRetries = parseInt(retryValue, 10);
+                if (!isNaN(parsedRetries) && parsedRetries >= 0) {
+                    policy.retries = parsedRetries;
+                } else {
+                    console.warn(`Invalid x-retry value '${retryValue}' on element:`, element);
+                }
+            }
+        }
+
+        if (typeof retries === 'number' && !isNaN(retries)) {
+            policy.retries = retries;
+        }
+
+        return policy;
+    }
+
+    /**
+     * Determines whether a failed attempt may be retried under the given policy.
+     * @param {RetryPolicy} policy
+     * @param {Response|null} response - The error response, if the server answered.
+     * @param {Error|null} error - The network or timeout error, if the server did not answer.
+     * @returns {boolean}
+     */
+    isRetryable(policy, response, error) {
+        if (response) {
+            return policy.retryOn.includes(response.status);
+        }
+        return Boolean(error) && policy.retryNetworkErrors;
+    }
+
+    /**
+     * Computes the delay before the next attempt using exponential backoff with jitter,
+     * or the response's Retry-After header when the policy honors it.
+     * @param {RetryPolicy} policy
+     * @param {number} attempt - The attempt that just failed, starting at 1.
+     * @param {Response|null} response
+     * @returns {number} Delay in milliseconds
+     */
+    getRetryDelay(policy, attempt, response) {
+        if (policy.respectRetryAfter && response) {
+            const retryAfter = this.parseRetryAfter(response.headers.get('Retry-After'));
+            if (retryAfter !== null) {
+                return Math.min(retryAfter, policy.maxDelay);
+            }
+        }
+
+        const backoff = Math.min(policy.baseDelay * Math.pow(2, attempt - 1), policy.maxDelay);
+        const jitter = Math.min(Math.max(policy.jitter, 0), 1);
+        return Math.round(backoff - backoff * jitter * Math.random());
+    }
+
+    /**
+     * Parses a Retry-After header given either in seconds or as an HTTP date.
+     * @param {string|null} value
+     * @returns {number|null} Delay in milliseconds, or null if the header is missing or invalid.
+     */
+    parseRetryAfter(value) {
+        if (!value) {
+            return null;
+        }
+
+        if (/^\d+$/.test(value.trim())) {
+            return parseInt(value, 10) * 1000;
+        }
+
+        const date = Date.parse(value);
+        if (isNaN(date)) {
+            return null;
+        }
+        return Math.max(date - Date.now(), 0);
+    }
+
+    /**
+     * Waits for the given delay, rejecting with an AbortError if the signal fires first.
+     * @param {number} delay - Delay in milliseconds.
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<void>}
+     */
+    wait(delay, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(new DOMException('Request aborted', 'AbortError'));
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timeoutId);
+                reject(new DOMException('Request aborted', 'AbortError'));
+            };
+            const timeoutId = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, delay);
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+    }
+
+    /**
+     * Performs the request and returns the response text.
+     * Returns null if the request was queued by the offline mode instead.
+     * @param {RequestParams} requestParams
+     * @returns {Promise<*>}
+     */
+    async performRequest(requestParams) {
+        // Run beforeRequest hooks
+        await this.runHooks('beforeRequest', { requestParams, partial: this });
+
+        return await this.runMiddleware(requestParams, async () => {
+            const { element, paramsObject } = requestParams;
+            const submitter = requestParams.submitter || null;
+            // Boosted forms are submitted as form data, like without JavaScript
+            const serializeType = element?.getAttribute(this.ATTRIBUTES.SERIALIZE) || (element?.__xBoosted ? 'form' : 'json');
+
+            const body = this.prepareRequestBody(element, serializeType, paramsObject, submitter);
+            const url = this.prepareRequestUrl(requestParams.url, paramsObject, element, submitter);
+            const headers = this.prepareRequestHeaders(element, requestParams.headers);
+
+            // Only allowed origins are requested, and sensitive headers only go to trusted ones
+            const originPolicy = this.checkOrigin(url, element);
+            if (!originPolicy.trusted) {
+                this.removeSensitiveHeaders(headers);
+            }
+            const credentials = originPolicy.credentials;
+
+            const prefetchKey = requestParams.method === 'GET' ? this.getCacheKey(url, headers, paramsObject) : null;
+
+            // Write requests that cannot reach the server are queued for replay in offline mode
+            const queueOffline = this.shouldQueueOffline(element, requestParams.method);
+            if (queueOffline) {
+                headers[this.offlineQueue.idempotencyHeader] = this.offlineQueue.createIdempotencyKey();
+
+                if (!navigator.onLine) {
+                    await this.offlineQueue.enqueue({ ...requestParams, url, body, headers, credentials });
+                    return null;
+                }
+            }
+
+            let response;
+            try {
+                // Use a prefetched response, sharing the prefetch request if it is still in flight
+                const prefetched = prefetchKey && !requestParams.prefetch ? this.takePrefetchedResponse(prefetchKey) : null;
+                if (prefetched) {
+                    response = await prefetched.catch(() => null);
+                }
+
+                if (!response) {
+                    const pending = this.sendRequest({ ...requestParams, url, body, headers, credentials });
+                    if (requestParams.prefetch) {
+                        requestParams.prefetch.resolve(pending);
+                    }
+                    response = await pending;
+                }
+            } catch (error) {
+                // fetch rejects with a TypeError when the network is unreachable
+                if (queueOffline && error.name === 'TypeError') {
+                    await this.offlineQueue.enqueue({ ...requestParams, url, body, headers, credentials });
+                    return null;
+                }
+
+                // Responses routed by a status rule are handled on purpose
+                const handled = error.response && element && this.getStatusRule(element, error.response.status);
+                if (error.name !== 'AbortError' && !handled) {
+                    console.error('performRequestCore failed:', error);
+                }
+                throw error;
+            }
+
+            if (!response) {
+                throw new Error('No response returned from performRequestCore');
+            }
+
+            // The prefetched response is consumed by the action that uses it
+            if (requestParams.prefetch) {
+                return null;
+            }
+
+            this.lastResponse = response;
+
+            // Run afterResponse hooks
+            await this.runHooks('afterResponse', { requestParams, response, partial: this });
+
+            // x-stream reads the body itself while it arrives
+            if (requestParams.stream && response.body) {
+                return response;
+            }
+
+            return response.text();
+        });
+    }
+
+    /**
+     * Sends a request over the network, or through the response cache for cacheable GET requests.
+     * @param {RequestParams} requestParams
+     * @returns {Promise<Response>}
+     */
+    async sendRequest(requestParams) {
+        const cachePolicy = this.getCachePolicy(requestParams.element, requestParams.method);
+        if (cachePolicy) {
+            return this.performCachedRequest(requestParams, cachePolicy);
+        }
+
+        const response = await this.performRequestCore(requestParams);
+        this.handleCacheInvalidation(response);
+        return response;
+    }
+
+    /**
+     * Determines whether a failed or offline request should go to the offline queue.
+     * Only write methods are queued, and elements can opt out with x-offline="false".
+     * @param {HTMLElement|null} element
+     * @param {string} method
+     * @returns {boolean}
+     */
+    shouldQueueOffline(element, method) {
+        if (!this.offlineQueue || !['POST', 'PUT', 'PATCH', 'DELETE'].includes(method)) {
+            return false;
+        }
+        return !element || this.getAttributeWithInheritance(element, this.ATTRIBUTES.OFFLINE) !== 'false';
+    }
+
+    // Cache Methods
+    // -------------
+
+    /**
+     * Builds the cache policy for a GET request from the global options and the element's x-cache attribute.
+     * x-cache accepts "false", a TTL such as "30s", and the "swr" flag for stale-while-revalidate.
+     * @param {HTMLElement|null} element
+     * @param {string} method
+     * @returns {CacheOptions|null} The policy, or null if the response must not be cached.
+     */
+    getCachePolicy(element, method) {
+        if (method !== 'GET') {
+            return null;
+        }
+
+        const policy = { ...this.cacheOptions };
+
+        const cacheValue = element ? this.getAttributeWithInheritance(element, this.ATTRIBUTES.CACHE) : null;
+        if (cacheValue !== null) {
+            const tokens = cacheValue.trim().split(/\s+/).filter(Boolean);
+            policy.enabled = !tokens.includes('false');
+
+            tokens.forEach(token => {
+                if (token === 'swr') {
+                    policy.staleWhileRevalidate = true;
+                } else if (token !== 'true' && token !== 'false') {
+                    const ttl = this.parseDuration(token);
+                    if (ttl !== null) {
+                        policy.ttl = ttl;
+                    } else {
+                        console.warn(`Invalid x-cache value '${token}' on element:`, element);
+                    }
+                }
+            });
+        }
+
+        return policy.enabled ? policy : null;
+    }
+
+    /**
+     * Builds the cache key from the URL, the X-Target header and the serialized params.
+     * @param {string} url
+     * @param {Object} headers
+     * @param {Object} paramsObject
+     * @returns {string}
+     */
+    getCacheKey(url, headers, paramsObject) {
+        return [url, headers['X-Target'] || '', JSON.stringify(paramsObject || {})].join('|');
+    }
+
+    /**
+     * Serves a GET request from the cache when the entry is fresh, otherwise revalidates it.
+     * With stale-while-revalidate an expired entry is served immediately and refreshed in the background.
+     * @param {RequestParams} requestParams
+     * @param {CacheOptions} cachePolicy
+     * @returns {Promise<Response>}
+     */
+    async performCachedRequest(requestParams, cachePolicy) {
+        const { url, headers, paramsObject, element } = requestParams;
+        const cacheKey = this.getCacheKey(url, headers, paramsObject);
+        const cached = this.cache.get(cacheKey);
+
+        if (cached && cached.expiresAt > Date.now()) {
+            this.dispatchEvent('cacheHit', { url, element, stale: false });
+            return this.createCachedResponse(cached);
+        }
+
+        if (cached && cachePolicy.staleWhileRevalidate) {
+            this.dispatchEvent('cacheHit', { url, element, stale: true });
+            this.revalidateCachedResponse(requestParams, cachePolicy, cacheKey, cached);
+            return this.createCachedResponse(cached);
+        }
+
+        return this.fetchAndCache(requestParams, cachePolicy, cacheKey, cached);
+    }
+
+    /**
+     * Fetches a response, sending conditional headers for an expired entry, and stores the result.
+     * A 304 response renews the expired entry instead.
+     * @param {RequestParams} requestParams
+     * @param {CacheOptions} cachePolicy
+     * @param {string} cacheKey
+     * @param {Object|null} cached - The expired cache entry, if any.
+     * @returns {Promise<Response>}
+     */
+    async fetchAndCache(requestParams, cachePolicy, cacheKey, cached) {
+        const headers = { ...requestParams.headers };
+        if (cached && cached.etag) {
+            headers['If-None-Match'] = cached.etag;
+        }
+        if (cached && cached.lastModified) {
+            headers['If-Modified-Since'] = cached.lastModified;
+        }
+        const conditional = Boolean(headers['If-None-Match'] || headers['If-Modified-Since']);
+
+        const response = await this.performRequestCore({ ...requestParams, headers });
+        this.handleCacheInvalidation(response);
+
+        if (response.status === 304 && cached && conditional) {
+            cached.expiresAt = Date.now() + cachePolicy.ttl;
+            this.cache.set(cacheKey, cached);
+            return this.createCachedResponse(cached);
+        }
+
+        const cacheControl = response.headers.get('Cache-Control') || '';
+        if (/no-store/i.test(cacheControl)) {
+            return response;
+        }
+
+        const storeEntry = (body) => this.cache.set(cacheKey, {
+            url: requestParams.url,
+            body: body,
+            status: response.status,
+            headers: Array.from(response.headers.entries()),
+            etag: response.headers.get('ETag'),
+            lastModified: response.headers.get('Last-Modified'),
+            expiresAt: Date.now() + cachePolicy.ttl,
+        });
+
+        // A streamed body is split, so x-stream swaps it while it arrives and the cache stores it once complete
+        if (requestParams.stream && response.body) {
+            const [streamBody, cacheBody] = response.body.tee();
+            new Response(cacheBody).text().then(storeEntry).catch(() => {});
+            return new Response(streamBody, { status: response.status, statusText: response.statusText, headers: response.headers });
+        }
+
+        storeEntry(await response.clone().text());
+        return response;
+    }
+
+    /**
+     * Revalidates an expired entry in the background and re-renders the target if the content changed.
+     * @param {RequestParams} requestParams
+     * @param {CacheOptions} cachePolicy
+     * @param {string} cacheKey
+     * @param {Object} cached - The expired cache entry that was rendered.
+     */
+    revalidateCachedResponse(requestParams, cachePolicy, cacheKey, cached) {
+        const { element, targetSelector, url } = requestParams;
+
+        // The revalidated response is compared and swapped as a whole, even for x-stream
+        this.fetchAndCache({ ...requestParams, stream: false }, cachePolicy, cacheKey, cached)
+            .then(async (response) => {
+                const entry = this.cache.get(cacheKey);
+                if (!entry || entry.body === cached.body) {
+                    return;
+                }
+
+                const targetElement = document.querySelector(targetSelector);
+                if (targetElement) {
+                    this.lastResponse = response;
+                    await this.processResponse(entry.body, targetElement, element);
+                }
+
+                this.dispatchEvent('cacheRevalidated', { url, element, targetElement });
+            })
+            .catch(error => {
+                if (error.name !== 'AbortError') {
+                    this.handleError(error, element);
+                }
+            });
+    }
+
+    /**
+     * Creates a Response from a cache entry.
+     * @param {Object} entry
+     * @returns {Response}
+     */
+    createCachedResponse(entry) {
+        return new Response(entry.body, { status: entry.status, headers: entry.headers });
+    }
+
+    /**
+     * Invalidates cached responses listed in the X-Cache-Invalidate response header.
+     * The header holds comma-separated URL patterns, where "*" matches any characters.
+     * @param {Response} response
+     */
+    handleCacheInvalidation(response) {
+        const invalidate = response && response.headers.get('X-Cache-Invalidate');
+        if (!invalidate) {
+            return;
+        }
+
+        invalidate.split(',')
+            .map(pattern => pattern.trim())
+            .filter(Boolean)
+            .forEach(pattern => this.cache.invalidate(pattern));
+    }
+
+    /**
+     * Processes the response text and updates the DOM accordingly.
+     * @param {string} responseText
+     * @param {HTMLElement} targetElement
+     * @param {HTMLElement} element
+     * @param {string|null} [swapOverride] - Swap method replacing the element's x-swap, e.g. from a status rule.
+     * @param {NavigationContext|null} [navigation] - The request an X-Location header is followed for.
+     * @returns {Promise<boolean>} False if the server navigated elsewhere instead of the response being swapped.
+     */
+    async processResponse(responseText, targetElement, element, swapOverride = null, navigation = null) {
+        // Redirects, refreshes and locations replace the swap
+        if (await this.handleNavigationHeaders(targetElement, element, navigation)) {
+            return false;
+        }
+
+        // Dispatch beforeUpdate event
+        this.dispatchEvent('beforeUpdate', { targetElement, element });
+
+        // Parse the response HTML
+        const parser = new DOMParser();
+        const doc = parser.parseFromString(this.trustInertHTML(responseText), 'text/html');
+
+        // Mark the scripts to run once the content is in the document
+        const scriptToken = this.shouldRunScripts(element) ? this.markScripts(doc) : null;
+
+        // Extract OOB elements
+        const oobElements = this.extractOobElements(doc);
+
+        // Update title, meta tags and stylesheets before the content that needs them is swapped in
+        await this.mergeHead(doc, element, /<head[\s>]/i.test(responseText));
+
+        // Handle backend instructions
+        const finalTargetElement = this.getResponseTarget(targetElement);
+        const swapOption = this.getResponseSwapOption(element, swapOverride);
+
+        // Get the content from the response
+        const newContent = doc.body.innerHTML;
+
+        // Replace the target's content, animated if x-transition is set
+        await this.transitionSwap(finalTargetElement, newContent, swapOption, element);
+
+        // Dispatch afterUpdate event
+        this.dispatchEvent('afterUpdate', { targetElement: finalTargetElement, element });
+
+        // Re-scan the newly added content for Partial elements
+        this.scanForElements(finalTargetElement);
+
+        // Handle OOB swapping with the extracted OOB elements
+        this.handleOobSwapping(oobElements);
+
+        // Run the scripts of the main and OOB content in document order
+        if (scriptToken) {
+            await this.runPendingScripts(scriptToken);
+        }
+
+        // Handle any x-event-* headers from the response
+        await this.handleResponseEvents();
+
+        // Stop infinite scroll or polling if instructed by backend
+        this.handleElementControlHeaders(element);
+
+        // after all DOM updates
+        await this.runHooks('afterSettle', { element, targetElement, partial: this });
+
+        return true;
+    }
+
+    /**
+     * Resolves the element a response is swapped into, which the X-Target header can override.
+     * "root" in X-Target replaces the entire body.
+     * @param {HTMLElement} targetElement
+     * @param {Response} [response] - The response whose headers apply, the last one by default.
+     * @returns {HTMLElement|Window}
+     */
+    getResponseTarget(targetElement, response = this.lastResponse) {
+        const backendTargetSelector = response.headers.get('X-Target');
+        if (!backendTargetSelector) {
+            return targetElement;
+        }
+
+        const backendTargetElement = document.querySelector(backendTargetSelector) || document.getElementById(backendTargetSelector);
+        if (backendTargetElement) {
+            return /** @type {HTMLElement} */ (backendTargetElement);
+        }
+        if (backendTargetSelector === 'root') {
+            return window;
+        }
+
+        console.error(`No element found with selector '${backendTargetSelector}' specified in X-Target header.`);
+        return targetElement;
+    }
+
+    /**
+     * Resolves the swap method of a response: the X-Swap header, the override or the element's x-swap.
+     * @param {HTMLElement} element
+     * @param {string|null} [swapOverride]
+     * @param {Response} [response] - The response whose headers apply, the last one by default.
+     * @returns {string}
+     */
+    getResponseSwapOption(element, swapOverride = null, response = this.lastResponse) {
+        return response.headers.get('X-Swap')
+            || swapOverride
+            || this.getAttributeWithInheritance(element, this.ATTRIBUTES.SWAP)
+            || this.defaultSwapOption;
+    }
+
+    /**
+     * Applies the X-Infinite-Scroll and X-Poll headers to the element that made the request,
+     * or to the element with its id that replaced it in the swap.
+     * @param {HTMLElement} element
+     * @param {Response} [response] - The response whose headers apply, the last one by default.
+     */
+    handleElementControlHeaders(element, response = this.lastResponse) {
+        // An element that swapped itself out, e.g. a poller with x-swap="outerHTML", lives on in its replacement
+        if (!element.isConnected && element.id) {
+            element = /** @type {HTMLElement} */ (document.getElementById(element.id)) || element;
+        }
+
+        const infiniteScrollAction = response.headers.get('X-Infinite-Scroll');
+        const pollAction = response.headers.get('X-Poll');
+
+        // Stop infinite scroll if instructed by backend
+        if (infiniteScrollAction === 'stop' && element.hasAttribute(this.ATTRIBUTES.INFINITE_SCROLL)) {
+            this.stopInfiniteScroll(element);
+        }
+
+        // Stop polling or change its interval if instructed by backend
+        if (pollAction && element.__xPoll) {
+            if (pollAction === 'stop') {
+                this.stopPolling(element);
+            } else {
+                const interval = this.parseDuration(pollAction);
+                if (interval) {
+                    element.__xPoll.interval = interval;
+                } else {
+                    console.error(`Invalid polling interval '${pollAction}' specified in X-Poll header.`);
+                }
+            }
+        }
+    }
+
+    // Streaming Methods
+    // -----------------
+
+    /**
+     * Reads the x-stream mode of an element: "append" (the default) or "replace".
+     * @param {HTMLElement} element
+     * @returns {string|null} The mode, or null if the element does not stream.
+     */
+    getStreamMode(element) {
+        const streamValue = element.getAttribute(this.ATTRIBUTES.STREAM);
+        if (streamValue === null || streamValue === 'false') {
+            return null;
+        }
+        if (streamValue !== '' && streamValue !== 'append' && streamValue !== 'replace') {
+            console.warn(`Invalid x-stream value '${streamValue}' on element:`, element);
+        }
+        return streamValue === 'replace' ? 'replace' : 'append';
+    }
+
+    /**
+     * Swaps a response into the target while it arrives. The server ends every chunk it flushes
+     * with an <!-- x-flush --> comment; in "append" mode each chunk is appended to the emptied target,
+     * in "replace" mode it replaces the target's content. x-swap-oob fragments are swapped with their chunk,
+     * response events and afterSettle hooks run once the stream completes. X-Target is honored, and a
+     * "beforeend" swap keeps the target's content; other swap methods wait for the complete response.
+     * @param {Response} response
+     * @param {HTMLElement} targetElement
+     * @param {HTMLElement} element
+     * @param {string} mode - "append" or "replace".
+     * @param {NavigationContext|null} [navigation] - The request an X-Location header is followed for.
+     * @returns {Promise<boolean>} False if the server navigated elsewhere instead of the response being swapped.
+     */
+    async processStreamResponse(response, targetElement, element, mode, navigation = null) {
+        // Other requests can complete while the stream is read, so its own headers are used throughout
+        const streamTarget = this.getResponseTarget(targetElement, response);
+        const streamSwapOption = this.getResponseSwapOption(element, null, response);
+        if (streamTarget === window || !['innerHTML', 'beforeend'].includes(streamSwapOption)) {
+            return this.processResponse(await response.text(), targetElement, element, null, navigation);
+        }
+        targetElement = /** @type {HTMLElement} */ (streamTarget);
+
+        if (await this.handleNavigationHeaders(targetElement, element, navigation, response)) {
+            return false;
+        }
+
+        // Dispatch beforeUpdate event
+        this.dispatchEvent('beforeUpdate', { targetElement, element });
+
+        const signal = navigation ? navigation.signal : null;
+        const flushMarker = /<!--\s*x-flush\s*-->/;
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let chunkIndex = 0;
+
+        const runScripts = this.shouldRunScripts(element);
+
+        const swapChunk = async (html) => {
+            const doc = new DOMParser().parseFromString(this.trustInertHTML(html), 'text/html');
+            const scriptToken = runScripts ? this.markScripts(doc) : null;
+            const oobElements = this.extractOobElements(doc);
+
+            const swapOption = (mode === 'replace' || chunkIndex === 0) && streamSwapOption === 'innerHTML' ? 'innerHTML' : 'beforeend';
+            this.performSwap(targetElement, doc.body.innerHTML, swapOption);
+            this.scanForElements(targetElement);
+            this.handleOobSwapping(oobElements);
+
+            if (scriptToken) {
+                await this.runPendingScripts(scriptToken);
+            }
+
+            this.dispatchEvent('streamChunk', { targetElement, element, index: chunkIndex });
+            chunkIndex++;
+        };
+
+        // Aborting the request, e.g. when the target is removed, stops reading the stream
+        const cancelReader = () => reader.cancel().catch(() => {});
+        if (signal) {
+            signal.addEventListener('abort', cancelReader, { once: true });
+        }
+
+        try {
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done || (signal && signal.aborted)) break;
+
+                buffer += decoder.decode(value, { stream: true });
+                const chunks = buffer.split(flushMarker);
+                buffer = chunks.pop();
+
+                for (const chunk of chunks) {
+                    await swapChunk(chunk);
+                }
+            }
+        } finally {
+            if (signal) {
+                signal.removeEventListener('abort', cancelReader);
+            }
+        }
+
+        if (signal && signal.aborted) {
+            throw new DOMException('Stream aborted', 'AbortError');
+        }
+
+        buffer += decoder.decode();
+        if (buffer.trim() !== '' || chunkIndex === 0) {
+            await swapChunk(buffer);
+        }
+
+        // Dispatch afterUpdate event
+        this.dispatchEvent('afterUpdate', { targetElement, element });
+
+        // Handle any x-event-* headers from the response
+        await this.handleResponseEvents(response);
+
+        // Stop infinite scroll or polling if instructed by backend
+        this.handleElementControlHeaders(element, response);
+
+        // after all DOM updates
+        await this.runHooks('afterSettle', { element, targetElement, partial: this });
+
+        return true;
+    }
+
+    // Script Methods
+    // --------------
+
+    /**
+     * Checks whether scripts in the response of an element run, x-scripts overrides the allowScripts option.
+     * @param {HTMLElement|null} element
+     * @returns {boolean}
+     */
+    shouldRunScripts(element) {
+        const scriptsValue = element ? this.getAttributeWithInheritance(element, this.ATTRIBUTES.SCRIPTS) : null;
+        if (scriptsValue === null) {
+            return this.allowScripts;
+        }
+        return scriptsValue !== 'false';
+    }
+
+    /**
+     * Marks the runnable scripts of parsed content, including those inside templates,
+     * so they can be found again once the content is swapped in. The marker holds a token
+     * unique to this content, markers already present in the markup are removed.
+     * @param {Document|DocumentFragment} root
+     * @param {string} [token]
+     * @returns {string} The token to pass to runPendingScripts.
+     */
+    markScripts(root, token = this.createScriptToken()) {
+        root.querySelectorAll('script').forEach(script => {
+            script.removeAttribute(this.ATTRIBUTES.PENDING_SCRIPT);
+            if (this.isRunnableScript(script)) {
+                script.setAttribute(this.ATTRIBUTES.PENDING_SCRIPT, token);
+            }
+        });
+
+        root.querySelectorAll('template').forEach(template => {
+            this.markScripts(/** @type {HTMLTemplateElement} */ (template).content, token);
+        });
+
+        return token;
+    }
+
+    /**
+     * Creates a token that markup cannot predict, marking the scripts of a single swap.
+     * @returns {string}
+     */
+    createScriptToken() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).substring(2)}`;
+    }
+
+    /**
+     * Checks whether a script is JavaScript that has not run yet. Data blocks such as
+     * type="application/json" and scripts marked with x-executed are skipped.
+     * @param {HTMLScriptElement} script
+     * @returns {boolean}
+     */
+    isRunnableScript(script) {
+        if (script.hasAttribute(this.ATTRIBUTES.EXECUTED)) {
+            return false;
+        }
+
+        const type = (script.getAttribute('type') || '').trim().toLowerCase();
+        return type === '' || type === 'module' || /^(text|application)\/(java|ecma)script$/.test(type);
+    }
+
+    /**
+     * Runs the scripts a swap marked with the token, in document order. Scripts of other swaps are left alone.
+     * Each external script is loaded before the next script runs.
+     * @param {string} token - The token returned by markScripts.
+     * @returns {Promise<void>}
+     */
+    async runPendingScripts(token) {
+        const scripts = Array.from(document.querySelectorAll(`script[${this.ATTRIBUTES.PENDING_SCRIPT}]`))
+            .filter(script => script.getAttribute(this.ATTRIBUTES.PENDING_SCRIPT) === token);
+
+        for (const pendingScript of scripts) {
+            pendingScript.removeAttribute(this.ATTRIBUTES.PENDING_SCRIPT);
+
+            const script = this.createScript(/** @type {HTMLScriptElement} */ (pendingScript));
+            const loaded = script.src ? this.waitForScript(script) : null;
+
+            pendingScript.replaceWith(script);
+
+            if (loaded) {
+                await loaded;
+            }
+        }
+    }
+
+    /**
+     * Recreates a script so the browser runs it, with the CSP nonce applied and marked as executed.
+     * @param {HTMLScriptElement} source
+     * @returns {HTMLScriptElement}
+     */
+    createScript(source) {
+        const script = document.createElement('script');
+        Array.from(source.attributes).forEach(attr => {
+            script.setAttribute(attr.name, attr.name === 'src' ? this.trustScriptURL(attr.value) : attr.value);
+        });
+        script.removeAttribute(this.ATTRIBUTES.PENDING_SCRIPT);
+        script.setAttribute(this.ATTRIBUTES.EXECUTED, '');
+
+        const nonce = typeof this.cspNonce === 'function' ? this.cspNonce() : this.cspNonce;
+        if (nonce) {
+            script.nonce = nonce;
+        }
+
+        // Dynamically inserted scripts are async by default, keep them in document order
+        if (script.src && !source.hasAttribute('async')) {
+            script.async = false;
+        }
+
+        script.textContent = this.trustScript(source.textContent);
+        return script;
+    }
+
+    /**
+     * Resolves once an external script has loaded or failed.
+     * @param {HTMLScriptElement} script
+     * @returns {Promise<void>}
+     */
+    waitForScript(script) {
+        return new Promise(resolve => {
+            script.addEventListener('load', () => resolve(), { once: true });
+            script.addEventListener('error', () => {
+                console.error(`Failed to load script '${script.src}'.`);
+                resolve();
+            }, { once: true });
+        });
+    }
+
+    // Sanitization Methods
+    // --------------------
+
+    /**
+     * Runs HTML through the configured sanitizer, or returns it unchanged without one.
+     * @param {string} html
+     * @returns {string}
+     */
+    sanitizeHTML(html) {
+        if (!this.sanitizer) {
+            return html;
+        }
+        if (typeof this.sanitizer === 'function') {
+            return String(this.sanitizer(html));
+        }
+        return String(this.sanitizer.sanitize(html));
+    }
+
+    /**
+     * Returns the Trusted Types policy, created on first use if the browser supports Trusted Types.
+     * The policy runs HTML through the sanitizer, or passes it through without one, and only creates
+     * scripts and script URLs when the allowScripts option is on.
+     * @returns {Object|null}
+     */
+    getTrustedTypesPolicy() {
+        if (this.trustedTypesPolicy !== undefined) {
+            return this.trustedTypesPolicy;
+        }
+
+        this.trustedTypesPolicy = null;
+        if (window.trustedTypes && this.trustedTypesPolicyName) {
+            const rules = {
+                // Inert parses, e.g. the sanitizer's own, are the only HTML passed through unsanitized
+                createHTML: html => this.parsingInertHTML ? html : this.sanitizeHTML(html),
+            };
+            if (this.allowScripts) {
+                rules.createScript = script => script;
+                rules.createScriptURL = url => url;
+            }
+
+            try {
+                this.trustedTypesPolicy = window.trustedTypes.createPolicy(this.trustedTypesPolicyName, rules);
+            } catch (error) {
+                console.warn(`Could not create the Trusted Types policy '${this.trustedTypesPolicyName}'.`, error);
+            }
+        }
+        return this.trustedTypesPolicy;
+    }
+
+    /**
+     * Wraps HTML for a DOM sink such as innerHTML.
+     * @param {string} html
+     * @returns {TrustedHTML|string}
+     */
+    trustHTML(html) {
+        const policy = this.getTrustedTypesPolicy();
+        return policy ? policy.createHTML(html) : html;
+    }
+
+    /**
+     * Wraps HTML that is only parsed into an inert document or template, e.g. to extract the parts
+     * of a response. It is not sanitized here, but when it is swapped into the document.
+     * @param {string} html
+     * @returns {TrustedHTML|string}
+     */
+    trustInertHTML(html) {
+        const policy = this.getTrustedTypesPolicy();
+        if (!policy) {
+            return html;
+        }
+
+        this.parsingInertHTML = true;
+        try {
+            return policy.createHTML(html);
+        } finally {
+            this.parsingInertHTML = false;
+        }
+    }
+
+    /**
+     * Wraps the text of a script for Trusted Types.
+     * @param {string} script
+     * @returns {TrustedScript|string}
+     */
+    trustScript(script) {
+        const policy = this.getTrustedTypesPolicy();
+        return policy && this.allowScripts ? policy.createScript(script) : script;
+    }
+
+    /**
+     * Wraps the src of a script for Trusted Types.
+     * @param {string} url
+     * @returns {TrustedScriptURL|string}
+     */
+    trustScriptURL(url) {
+        const policy = this.getTrustedTypesPolicy();
+        return policy && this.allowScripts ? policy.createScriptURL(url) : url;
+    }
+
+    // Head Merge Methods
+    // ------------------
+
+    /**
+     * Merges the <head> of a parsed response into the document according to x-head or the headMerge option.
+     * "title" only takes the title of responses with a full <head>, so fragments never touch the head.
+     * "append" updates the title and adds missing elements, "merge" also updates meta tags by name or property
+     * and, for a response with a full <head>, removes meta tags it no longer contains. Added stylesheets are
+     * loaded before this resolves. Current elements with x-head="keep" are left alone, response elements with
+     * x-head="re-eval" are added (and scripts run) again even if present.
+     * @param {Document} doc
+     * @param {HTMLElement|null} element
+     * @param {boolean} hasFullHead - Whether the response contains its own <head> tag.
+     */
+    async mergeHead(doc, element, hasFullHead) {
+        const mode = (element && this.getAttributeWithInheritance(element, this.ATTRIBUTES.HEAD)) || this.headMerge;
+        if (mode === 'none') {
+            return;
+        }
+        if (mode !== 'append' && mode !== 'merge' && mode !== 'title') {
+            console.error(`Invalid head merge mode '${mode}'.`);
+            return;
+        }
+
+        const titleElement = doc.head.querySelector('title');
+        if (titleElement && (mode !== 'title' || hasFullHead)) {
+            document.title = titleElement.textContent;
+        }
+        if (mode === 'title') {
+            return;
+        }
+
+        const currentElements = new Map();
+        Array.from(document.head.children).forEach(headElement => {
+            currentElements.set(this.getHeadKey(headElement), headElement);
+        });
+
+        const newKeys = new Set();
+        const loading = [];
+
+        Array.from(doc.head.children).forEach(newElement => {
+            if (newElement.tagName === 'TITLE' || !this.isMergeableHeadElement(newElement, element)) {
+                return;
+            }
+
+            const key = this.getHeadKey(newElement);
+            newKeys.add(key);
+
+            const existing = currentElements.get(key);
+            const kept = existing && existing.getAttribute(this.ATTRIBUTES.HEAD) === 'keep';
+            if (existing && (kept || newElement.getAttribute(this.ATTRIBUTES.HEAD) !== 're-eval')) {
+                if (mode === 'merge' && !kept && newElement.tagName === 'META') {
+                    Array.from(newElement.attributes).forEach(attr => existing.setAttribute(attr.name, attr.value));
+                }
+                return;
+            }
+
+            const headElement = this.createHeadElement(newElement);
+            if (headElement.tagName === 'LINK' && /\bstylesheet\b/i.test(headElement.getAttribute('rel') || '')) {
+                loading.push(this.waitForStylesheet(headElement));
+            }
+
+            if (existing) {
+                existing.replaceWith(headElement);
+            } else {
+                document.head.appendChild(headElement);
+            }
+        });
+
+        if (mode === 'merge' && hasFullHead) {
+            currentElements.forEach((headElement, key) => {
+                const isNamedMeta = headElement.tagName === 'META'
+                    && (headElement.hasAttribute('name') || headElement.hasAttribute('property'));
+                if (isNamedMeta && !newKeys.has(key) && headElement.getAttribute(this.ATTRIBUTES.HEAD) !== 'keep') {
+                    headElement.remove();
+                }
+            });
+        }
+
+        await Promise.all(loading);
+    }
+
+    /**
+     * Checks whether a head element of a response may be merged: styles, stylesheet links,
+     * meta tags with a name or property, and scripts where scripts are allowed. Elements that
+     * change how the page behaves, such as <base>, <meta http-equiv> or preload links, are skipped.
+     * With a sanitizer, styles and stylesheets are skipped too, as they bypass it and CSS alone
+     * can restyle the page or leak attribute values through selectors.
+     * @param {Element} headElement
+     * @param {HTMLElement|null} element
+     * @returns {boolean}
+     */
+    isMergeableHeadElement(headElement, element) {
+        switch (headElement.tagName) {
+            case 'STYLE':
+                return !this.sanitizer;
+            case 'LINK':
+                return !this.sanitizer && /^\s*stylesheet\s*$/i.test(headElement.getAttribute('rel') || '');
+            case 'META':
+                return (headElement.hasAttribute('name') || headElement.hasAttribute('property'))
+                    && !headElement.hasAttribute('http-equiv');
+            case 'SCRIPT':
+                return this.shouldRunScripts(element);
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Identifies a head element: meta tags by name, property or http-equiv, links by rel and href,
+     * anything else by its markup.
+     * @param {Element} headElement
+     * @returns {string}
+     */
+    getHeadKey(headElement) {
+        if (headElement.tagName === 'META') {
+            for (const name of ['name', 'property', 'http-equiv', 'charset']) {
+                if (headElement.hasAttribute(name)) {
+                    return `meta[${name}=${headElement.getAttribute(name)}]`;
+                }
+            }
+        }
+
+        if (headElement.tagName === 'LINK') {
+            return `link[rel=${headElement.getAttribute('rel')}][href=${headElement.getAttribute('href')}]`;
+        }
+
+        // Attributes added when a script runs must not make it look like a different script
+        const clone = /** @type {Element} */ (headElement.cloneNode(true));
+        [this.ATTRIBUTES.HEAD, this.ATTRIBUTES.EXECUTED, 'nonce'].forEach(name => clone.removeAttribute(name));
+        return clone.outerHTML;
+    }
+
+    /**
+     * Copies a head element from a parsed response into the document. Scripts are recreated,
+     * as parsed scripts never run.
+     * @param {Element} newElement
+     * @returns {Element}
+     */
+    createHeadElement(newElement) {
+        if (newElement.tagName !== 'SCRIPT') {
+            return document.importNode(newElement, true);
+        }
+        return this.createScript(/** @type {HTMLScriptElement} */ (newElement));
+    }
+
+    /**
+     * Resolves once a stylesheet has loaded or failed, or after 5 seconds so a stalled
+     * stylesheet never blocks the swap.
+     * @param {Element} link
+     * @returns {Promise<void>}
+     */
+    waitForStylesheet(link) {
+        return Promise.race([
+            new Promise(resolve => {
+                link.addEventListener('load', () => resolve(), { once: true });
+                link.addEventListener('error', () => resolve(), { once: true });
+            }),
+            this.wait(5000),
+        ]);
+    }
+
+    // Navigation Methods
+    // ------------------
+
+    /**
+     * Handles the X-Redirect, X-Refresh and X-Location response headers.
+     * @param {HTMLElement} targetElement
+     * @param {HTMLElement} element
+     * @param {NavigationContext|null} [navigation]
+     * @param {Response} [response] - The response whose headers apply, the last one by default.
+     * @returns {Promise<boolean>} Whether the server navigated elsewhere.
+     */
+    async handleNavigationHeaders(targetElement, element, navigation = null, response = this.lastResponse) {
+        const headers = response.headers;
+
+        const redirect = headers.get('X-Redirect');
+        if (redirect) {
+            this.dispatchEvent('redirect', { url: redirect, element });
+            window.location.assign(redirect);
+            return true;
+        }
+
+        if (headers.get('X-Refresh') === 'true') {
+            window.location.reload();
+            return true;
+        }
+
+        const location = headers.get('X-Location');
+        if (location) {
+            await this.followLocation(location, targetElement, element, navigation);
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Performs the partial request an X-Location header points at and pushes its URL.
+     * The header is either a path, loaded into the current target, or a JSON object
+     * with "path", "target" and "swap". The request shares the signal of the one that started the
+     * navigation, and a chain of locations stops after 10 hops.
+     * @param {string} location
+     * @param {HTMLElement} targetElement
+     * @param {HTMLElement} element
+     * @param {NavigationContext|null} [navigation]
+     */
+    async followLocation(location, targetElement, element, navigation = null) {
+        const hops = (navigation ? navigation.hops : 0) + 1;
+        const signal = navigation ? navigation.signal : null;
+        if (hops > 10) {
+            console.error(`Too many X-Location hops, not following: ${location}`);
+            return;
+        }
+
+        let spec = { path: location };
+        if (location.trim().startsWith('{')) {
+            try {
+                spec = JSON.parse(location);
+            } catch (e) {
+                console.error(`Invalid JSON in X-Location header: ${location}`);
+                return;
+            }
+        }
+
+        const locationTarget = spec.target ? document.querySelector(spec.target) : targetElement;
+        if (!(locationTarget instanceof HTMLElement)) {
+            // Nothing to swap into, fall back to a full page load
+            window.location.assign(spec.path);
+            return;
+        }
+
+        const partialId = locationTarget.getAttribute('id');
+        const responseText = await this.performRequest({
+            method: 'GET',
+            url: spec.path,
+            headers: partialId ? { 'X-Target': partialId } : {},
+            targetSelector: spec.target || (partialId ? `#${partialId}` : null),
+            partialId: partialId,
+            paramsObject: {},
+            element: null,
+            signal: signal,
+        });
+
+        const historySnapshot = this.captureHistorySnapshot(locationTarget);
+        const swapped = responseText !== null
+            && await this.processResponse(responseText, locationTarget, element, spec.swap, { signal, hops });
+        if (!swapped) {
+            return;
+        }
+
+        const historyUpdate = this.getHistoryUpdate(this.lastResponse, spec.path);
+        if (historyUpdate) {
+            this.updateHistory(historyUpdate, {
+                partialId: partialId,
+                swapOption: spec.swap || null,
+            }, historySnapshot);
+        }
+    }
+
+    /**
+     * Decides which history entry a response creates. X-Replace-Url replaces the current entry,
+     * X-Push-Url pushes its URL instead of the request URL, or nothing with "false".
+     * @param {Response} response
+     * @param {string|null} requestUrl - The URL pushed by default, or null if the request does not push.
+     * @param {boolean} [replace=false] - Whether the default URL replaces the current entry instead.
+     * @returns {{url: string, replace: boolean}|null}
+     */
+    getHistoryUpdate(response, requestUrl, replace = false) {
+        const replaceUrl = response.headers.get('X-Replace-Url');
+        if (replaceUrl && replaceUrl !== 'false') {
+            return { url: replaceUrl, replace: true };
+        }
+
+        const pushUrl = response.headers.get('X-Push-Url');
+        if (pushUrl === 'false') {
+            return null;
+        }
+        if (pushUrl) {
+            return { url: pushUrl, replace: false };
+        }
+
+        return requestUrl ? { url: requestUrl, replace: replace } : null;
+    }
+
+    /**
+     * Removes the OOB elements from a parsed response and returns them in document order.
+     * OOB elements nested in another OOB element are swapped as part of it.
+     * @param {Document|DocumentFragment} doc
+     * @returns {HTMLElement[]}
+     */
+    extractOobElements(doc) {
+        const oobSelector = `[${this.ATTRIBUTES.SWAP_OOB}]`;
+        const oobElements = Array.from(doc.querySelectorAll(oobSelector))
+            .filter(el => !el.parentElement || !el.parentElement.closest(oobSelector));
+
+        oobElements.forEach(el => el.parentNode.removeChild(el));
+        return oobElements;
+    }
+
+    /**
+     * Handles Out-of-Band (OOB) swapping by processing an array of OOB elements.
+     * x-swap-oob holds a swap method, optionally followed by a selector ("beforeend:#notifications").
+     * Without a selector the element with the same id is the target. Fragments are swapped one after another
+     * in response order, and each selector is resolved right before its fragment is swapped.
+     * @param {HTMLElement[]} oobElements
+     */
+    handleOobSwapping(oobElements) {
+        oobElements.forEach(oobElement => {
+            const oobSwap = this.parseOobSwap(oobElement.getAttribute(this.ATTRIBUTES.SWAP_OOB));
+            if (!oobSwap) {
+                console.error(`Invalid x-swap-oob value on OOB element:`, oobElement);
+                return;
+            }
+
+            const { swapOption, selector } = oobSwap;
+            let targets;
+            if (selector) {
+                targets = Array.from(document.querySelectorAll(selector));
+            } else {
+                const targetId = oobElement.getAttribute('id');
+                if (!targetId) {
+                    console.error('OOB element does not have an ID:', oobElement);
+                    return;
+                }
+                const existingElement = document.getElementById(targetId);
+                targets = existingElement ? [existingElement] : [];
+            }
+
+            if (targets.length === 0) {
+                console.error(`No existing element found for OOB swapping:`, oobElement);
+                return;
+            }
+
+            if (swapOption === 'none') {
+                return;
+            }
+
+            const newContent = this.getOobContent(oobElement, swapOption, selector);
+
+            targets.forEach(targetElement => {
+                if (swapOption === 'delete') {
+                    targetElement.remove();
+                    return;
+                }
+
+                const container = targetElement.parentElement || document;
+                this.performSwap(targetElement, newContent, swapOption);
+
+                // After swapping, initialize any new elements within the replaced content
+                this.scanForElements(container);
+            });
+        });
+    }
+
+    /**
+     * Parses an x-swap-oob value into its swap method and optional selector.
+     * An empty value or "true" replaces the element with the same id.
+     * @param {string|null} value
+     * @returns {{swapOption: string, selector: string|null}|null} Null for an unknown swap method.
+     */
+    parseOobSwap(value) {
+        if (!value || value === 'true') {
+            return { swapOption: 'outerHTML', selector: null };
+        }
+
+        // Longer methods first, so "morph:innerHTML" is not read as "morph" with a selector
+        const swapOptions = [
+            'morph:innerHTML', 'morph:outerHTML', 'morph', 'outerHTML', 'innerHTML',
+            'beforebegin', 'afterbegin', 'beforeend', 'afterend', 'delete', 'none',
+        ];
+        const swapOption = swapOptions.find(option => value === option || value.startsWith(`${option}:`));
+        if (!swapOption) {
+            return null;
+        }
+
+        const selector = value.substring(swapOption.length + 1).trim();
+        return { swapOption, selector: selector || null };
+    }
+
+    /**
+     * Returns the content an OOB element swaps in. A <template>, or any element addressing its targets
+     * by selector, only carries its content. Without a selector, outerHTML swaps the element itself.
+     * @param {HTMLElement} oobElement
+     * @param {string} swapOption
+     * @param {string|null} selector
+     * @returns {string}
+     */
+    getOobContent(oobElement, swapOption, selector) {
+        const replacesItself = ['outerHTML', 'morph', 'morph:outerHTML'].includes(swapOption);
+        if (oobElement.tagName === 'TEMPLATE' || selector || !replacesItself) {
+            return oobElement.innerHTML;
+        }
+
+        const clone = /** @type {HTMLElement} */ (oobElement.cloneNode(true));
+        clone.removeAttribute(this.ATTRIBUTES.SWAP_OOB);
+        return clone.outerHTML;
+    }
+
+    /**
+     * Performs the swap operation on the target element based on the swap option.
+     * @param {HTMLElement} targetElement
+     * @param {string} newContent
+     * @param {string} swapOption
+     */
+    performSwap(targetElement, newContent, swapOption) {
+        // Every swap passes the sanitizer, if one is configured
+        newContent = this.sanitizeHTML(newContent);
+
+        // Morphing patches the live DOM instead of replacing it
+        if (swapOption === 'morph' || swapOption.startsWith('morph:')) {
+            this.morphSwap(targetElement, newContent, swapOption);
+            return;
+        }
+
+        // Create a template element to parse the HTML
+        const template = document.createElement('template');
+        template.innerHTML = this.trustHTML(newContent.trim());
+        const fragment = template.content;
+
+        // Pre-initialize elements within this fragment
+        // This runs `setupElement` and attaches event listeners off-DOM
+        this.scanForElements(fragment);
+
+        switch (swapOption) {
+            case 'outerHTML':
+                // Replace the entire target element with the content of the fragment
+                targetElement.replaceWith(fragment);
+                break;
+
+            case 'innerHTML':
+                // Replace targetElement's children with the fragment's children
+                targetElement.replaceChildren(fragment);
+                break;
+            case 'beforebegin':
+            case 'afterbegin':
+            case 'beforeend':
+            case 'afterend':
+                targetElement.insertAdjacentHTML(swapOption, this.trustHTML(newContent));
+                break;
+            default:
+                console.error(`Invalid swap option '${swapOption}'. Using 'innerHTML' as default.`);
+                targetElement.innerHTML = this.trustHTML(newContent);
+                break;
+        }
+    }
+
+    /**
+     * Performs a swap, inside a View Transition if x-transition or the transitions option is on.
+     * Without the View Transitions API, the swap and settle phases are exposed as CSS classes instead.
+     * @param {HTMLElement} targetElement
+     * @param {string} newContent
+     * @param {string} swapOption
+     * @param {HTMLElement|null} [element] - The element that triggered the request.
+     */
+    async transitionSwap(targetElement, newContent, swapOption, element = null) {
+        if (!(targetElement instanceof HTMLElement) || !this.shouldTransition(element)) {
+            this.performSwap(targetElement, newContent, swapOption);
+            return;
+        }
+
+        if (typeof document.startViewTransition === 'function') {
+            const transition = document.startViewTransition(() => this.performSwap(targetElement, newContent, swapOption));
+            await transition.updateCallbackDone;
+            return;
+        }
+
+        await this.swapWithClasses(targetElement, newContent, swapOption);
+    }
+
+    /**
+     * Checks whether a swap is animated, x-transition="false" opts out of the global option.
+     * @param {HTMLElement|null} element
+     * @returns {boolean}
+     */
+    shouldTransition(element) {
+        const transitionValue = element ? this.getAttributeWithInheritance(element, this.ATTRIBUTES.TRANSITION) : null;
+        if (transitionValue === null) {
+            return this.transitions;
+        }
+        return transitionValue !== 'false';
+    }
+
+    /**
+     * Swaps in phases CSS transitions can hook into: the target gets x-swapping for swapDelay,
+     * then new elements get x-added and, on the next frame, x-settling for settleDelay.
+     * Elements that keep their id are swapped in with their old attributes and receive the new ones
+     * on the next frame, so attribute changes animate.
+     * @param {HTMLElement} targetElement
+     * @param {string} newContent
+     * @param {string} swapOption
+     */
+    async swapWithClasses(targetElement, newContent, swapOption) {
+        // The settle attributes are copied onto live elements, so they come from sanitized content too
+        newContent = this.sanitizeHTML(newContent);
+
+        const template = document.createElement('template');
+        template.innerHTML = this.trustHTML(newContent.trim());
+
+        const settles = [];
+        template.content.querySelectorAll('[id]').forEach(newElement => {
+            const oldElement = document.getElementById(newElement.id);
+            if (oldElement) {
+                settles.push({ id: newElement.id, source: newElement.cloneNode(false) });
+                this.copySettleAttributes(oldElement, newElement);
+            }
+        });
+
+        Array.from(template.content.children)
+            .filter(child => !child.id || !document.getElementById(child.id))
+            .forEach(child => child.classList.add('x-added'));
+
+        // The parent also contains the new elements of outerHTML and sibling swaps
+        const scope = targetElement.parentElement || document.documentElement;
+
+        targetElement.classList.add('x-swapping');
+        await this.wait(this.swapDelay);
+        this.performSwap(targetElement, template.innerHTML, swapOption);
+        this.removeClass(targetElement, 'x-swapping');
+
+        const added = Array.from(scope.querySelectorAll('.x-added'));
+        await this.nextFrame();
+
+        settles.forEach(({ id, source }) => {
+            const settledElement = document.getElementById(id);
+            if (settledElement) {
+                this.copySettleAttributes(source, settledElement);
+            }
+        });
+        added.forEach(addedElement => {
+            this.removeClass(addedElement, 'x-added');
+            addedElement.classList.add('x-settling');
+        });
+
+        await this.wait(this.settleDelay);
+        added.forEach(addedElement => this.removeClass(addedElement, 'x-settling'));
+    }
+
+    /**
+     * Replaces the attributes of an element with those of another, except its id and x-* attributes.
+     * @param {Element} from
+     * @param {Element} to
+     */
+    copySettleAttributes(from, to) {
+        const isSettled = attr => attr.name !== 'id' && !attr.name.startsWith('x-');
+
+        Array.from(to.attributes).filter(isSettled).forEach(attr => to.removeAttribute(attr.name));
+        Array.from(from.attributes).filter(isSettled).forEach(attr => to.setAttribute(attr.name, attr.value));
+    }
+
+    /**
+     * Removes a class, and the class attribute with it once it is empty.
+     * @param {Element} element
+     * @param {string} className
+     */
+    removeClass(element, className) {
+        element.classList.remove(className);
+        if (element.classList.length === 0) {
+            element.removeAttribute('class');
+        }
+    }
+
+    /**
+     * Resolves on the next animation frame.
+     * @returns {Promise<void>}
+     */
+    nextFrame() {
+        return new Promise(resolve => {
+            if (typeof window.requestAnimationFrame === 'function') {
+                window.requestAnimationFrame(() => resolve());
+            } else {
+                setTimeout(resolve, 16);
+            }
+        });
+    }
+
+    /**
+     * Performs a morph swap. Matching elements are kept and patched, so they keep their focus, input state,
+     * scroll position, listeners and SSE connections; only elements that are new get initialized.
+     * "morph" and "morph:outerHTML" patch the target itself, "morph:innerHTML" its children.
+     * @param {HTMLElement} targetElement
+     * @param {string} newContent
+     * @param {string} swapOption
+     */
+    morphSwap(targetElement, newContent, swapOption) {
+        const template = document.createElement('template');
+        template.innerHTML = this.trustHTML(newContent.trim());
+        const fragment = template.content;
+
+        const morpher = new Morpher({ preserveAttribute: this.ATTRIBUTES.PRESERVE });
+
+        switch (swapOption) {
+            case 'morph:innerHTML':
+                morpher.morphChildren(targetElement, fragment);
+                this.scanForElements(targetElement);
+                break;
+
+            case 'morph':
+            case 'morph:outerHTML': {
+                const parent = targetElement.parentNode;
+                if (fragment.childElementCount === 1) {
+                    morpher.morphNode(targetElement, fragment.firstElementChild);
+                } else {
+                    console.warn('Morphing the outerHTML needs a single root element, replacing the target instead.');
+                    targetElement.replaceWith(fragment);
+                }
+                this.scanForElements(parent);
+                break;
+            }
+
+            default:
+                console.error(`Invalid swap option '${swapOption}'. Using 'morph' as default.`);
+                this.morphSwap(targetElement, newContent, 'morph');
+                break;
+        }
+    }
+
+    /**
+     * Handles any x-event-* headers from the response and dispatches events accordingly.
+     * @param {Response} [response] - The response whose headers apply, the last one by default.
+     */
+    async handleResponseEvents(response = this.lastResponse) {
+        if (!response || !response.headers) {
+            return;
+        }
+
+        response.headers.forEach((value, name) => {
+            const lowerName = name.toLowerCase();
+            if (lowerName.startsWith('x-event-')) {
+                const eventName = name.substring(8); // Remove 'x-event-' prefix
+                let eventData = value;
+                try {
+                    eventData = JSON.parse(value);
+                } catch (e) {
+                    // Value is not JSON, use as is
+                }
+                this.dispatchEvent(eventName, eventData);
+            }
+        });
+    }
+
+    // History Methods
+    // ---------------
+
+    /**
+     * Adds or replaces a history entry. A pushed entry first stores the snapshot of the entry being left,
+     * which becomes a Partial entry itself if it was not one yet. So does the entry left by x-push-params="push",
+     * even without a snapshot.
+     * @param {{url: string, replace: boolean}} historyUpdate
+     * @param {Object} state - partialId, swapOption, maxRetries and pushParams of the new entry.
+     * @param {HistorySnapshot|null} snapshot - The content before the swap.
+     */
+    updateHistory(historyUpdate, state, snapshot) {
+        const newUrl = new URL(historyUpdate.url, window.location.origin);
+
+        if (historyUpdate.replace) {
+            // The replaced entry will never be shown again
+            if (this.historyCache && this.currentHistoryKey) {
+                this.historyCache.delete(this.currentHistoryKey);
+            }
+        } else if (snapshot || state.pushParams) {
+            if (!history.state || !history.state.xPartial || (snapshot && !history.state.snapshotKey)) {
+                history.replaceState({
+                    xPartial: true,
+                    partialId: snapshot ? snapshot.partialId : state.partialId,
+                    url: snapshot ? snapshot.url : window.location.href,
+                    swapOption: null,
+                    // The fields of a page left by x-push-params="push" are restored from its URL too
+                    pushParams: Boolean(state.pushParams),
+                    ...(history.state && history.state.xPartial ? history.state : {}),
+                    snapshotKey: this.currentHistoryKey || this.createHistoryKey(),
+                }, '');
+            }
+
+            if (snapshot) {
+                this.historyCache.set(history.state.snapshotKey, snapshot);
+
+                // Scroll offsets are restored from the snapshots, not by the browser
+                history.scrollRestoration = 'manual';
+            }
+        }
+
+        const snapshotKey = this.createHistoryKey();
+        history[historyUpdate.replace ? 'replaceState' : 'pushState']({
+            xPartial: true,
+            ...state,
+            url: newUrl.href,
+            snapshotKey: snapshotKey,
+        }, '', newUrl);
+
+        this.currentHistoryKey = snapshotKey;
+        this.currentHistoryUrl = newUrl.href;
+    }
+
+    /**
+     * Takes a snapshot of an element and the scroll offsets, if the history cache is enabled.
+     * Elements inside x-history="false" are never stored, e.g. pages with personal data.
+     * @param {HTMLElement|null} element - The element about to be swapped, it needs an id to be restored.
+     * @returns {HistorySnapshot|null}
+     */
+    captureHistorySnapshot(element) {
+        if (!this.historyCache || !element || !element.id || !element.isConnected) {
+            return null;
+        }
+        if (this.getAttributeWithInheritance(element, this.ATTRIBUTES.HISTORY) === 'false') {
+            return null;
+        }
+
+        return {
+            partialId: element.id,
+            url: window.location.href,
+            html: element.outerHTML,
+            title: document.title,
+            scrollX: window.scrollX,
+            scrollY: window.scrollY,
+            scrollTop: element.scrollTop,
+            scrollLeft: element.scrollLeft,
+        };
+    }
+
+    /**
+     * Swaps a snapshot back in and restores the title and scroll offsets.
+     * @param {HTMLElement} targetElement - The element with the snapshot's id.
+     * @param {HistorySnapshot} snapshot
+     * @returns {HTMLElement|null} The restored element
+     */
+    restoreHistorySnapshot(targetElement, snapshot) {
+        this.performSwap(targetElement, snapshot.html, 'outerHTML');
+        document.title = snapshot.title;
+
+        const restoredElement = document.getElementById(snapshot.partialId);
+        if (restoredElement) {
+            restoredElement.scrollTop = snapshot.scrollTop;
+            restoredElement.scrollLeft = snapshot.scrollLeft;
+        }
+        window.scrollTo(snapshot.scrollX, snapshot.scrollY);
+
+        return restoredElement;
+    }
+
+    /**
+     * Removes all snapshots from the history cache, e.g. on logout. Back/forward navigation
+     * then requests the pages again.
+     */
+    clearHistoryCache() {
+        if (this.historyCache) {
+            this.historyCache.clear();
+        }
+    }
+
+    /**
+     * Creates a key identifying a history entry in the history cache.
+     * @returns {string}
+     */
+    createHistoryKey() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).substring(2)}`;
+    }
+
+    // Event Handling Methods
+    // ----------------------
+
+    /**
+     * Dispatches custom events specified in a comma-separated string.
+     * @param {string} events - Comma-separated event names.
+     * @param {Object} detail - Detail object to pass with the event.
+     */
+    async dispatchCustomEvents(events, detail) {
+        const eventNames = events.split(',').map(e => e.trim());
+        for (const eventName of eventNames) {
+            const event = new CustomEvent(eventName, { detail });
+            this.eventTarget.dispatchEvent(event);
+        }
+    }
+
+    /**
+     * Handles the popstate event for browser navigation. Entries with a snapshot are restored
+     * instantly, optionally revalidated in the background, others are requested again.
+     * @param {PopStateEvent} event
+     */
+    async handlePopState(event) {
+        const previousUrl = this.currentHistoryUrl;
+        this.currentHistoryUrl = window.location.href;
+
+        // A late response of an earlier navigation must not overwrite this one
+        if (this.historyRestoreController) {
+            this.historyRestoreController.abort();
+        }
+        const controller = new AbortController();
+        this.historyRestoreController = controller;
+
+        if (!event.state || !event.state.xPartial) {
+            // Navigating to a fragment of the same page needs no reload
+            if (this.isSameDocumentUrl(previousUrl, window.location.href)) {
+                return;
+            }
+            // No xPartial state, fallback to full page reload
+            window.location.reload();
+            return;
+        }
+
+        const { url, swapOption, maxRetries, snapshotKey } = event.state;
+
+        // Entries of x-push-params fields are restored by requesting the partials again
+        if (event.state.pushParams) {
+            this.currentHistoryKey = snapshotKey || null;
+            this.restorePushParams();
+            return;
+        }
+        const snapshot = this.historyCache && snapshotKey ? this.historyCache.get(snapshotKey) : null;
+        const partialId = snapshot ? snapshot.partialId : event.state.partialId;
+        if (!partialId || !url ) {
+            console.warn('No partialId or url found in history.state, falling back to full reload.');
+            window.location.reload();
+            return;
+        }
+
+        let targetElement = document.getElementById(partialId);
+        if (!targetElement) {
+            console.warn(`No element found with ID '${partialId}'. Falling back to full reload.`);
+            window.location.reload();
+            return;
+        }
+
+        // Keep the entry being left, so going forward again is instant too
+        const leavingSnapshot = this.captureHistorySnapshot(targetElement);
+        if (leavingSnapshot && this.currentHistoryKey) {
+            leavingSnapshot.url = previousUrl;
+            this.historyCache.set(this.currentHistoryKey, leavingSnapshot);
+        }
+        this.currentHistoryKey = snapshotKey || null;
+
+        if (snapshot) {
+            targetElement = this.restoreHistorySnapshot(targetElement, snapshot);
+            this.dispatchEvent('historyRestore', { element: targetElement, url, source: 'snapshot' });
+            if (!targetElement || !this.historyOptions.revalidate) {
+                return;
+            }
+        }
+
+        // Re-extract requestParams from the targetElement
+        const requestParams = this.extractRequestParams(targetElement);
+
+        requestParams.element = targetElement;
+        requestParams.url = url; // Ensure url is set to the popped state URL
+        requestParams.maxRetries = maxRetries; // Set a default retry limit
+        requestParams.headers["X-Target"] = partialId;
+        requestParams.signal = controller.signal;
+
+        // Run the request again to restore the state
+        try {
+            const responseText = await this.performRequest(requestParams);
+            if (controller.signal.aborted) {
+                return;
+            }
+            const targetElement = document.querySelector(requestParams.targetSelector);
+            if (!targetElement) {
+                console.error(`No element found with selector '${requestParams.targetSelector}' for infinite scroll.`);
+                return;
+            }
+
+            if (swapOption) {
+                targetElement.setAttribute('x-swap', swapOption);
+            }
+
+            await this.processResponse(responseText, targetElement, targetElement);
+            if (snapshot) {
+                // The fresh content keeps the restored scroll offsets
+                targetElement.scrollTop = snapshot.scrollTop;
+                targetElement.scrollLeft = snapshot.scrollLeft;
+            } else if (this.autoFocus) {
+                targetElement.focus();
+            }
+            this.dispatchEvent('historyRestore', { element: targetElement, url, source: 'network' });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                return;
+            }
+            // The restored snapshot stays valid content, e.g. when going back while offline
+            if (snapshot) {
+                this.dispatchEvent('historyRevalidateFailed', { element: targetElement, url, error });
+                return;
+            }
+            this.handleError(error, targetElement);
+        } finally {
+            if (this.historyRestoreController === controller) {
+                this.historyRestoreController = null;
+            }
+        }
+    }
+
+    /**
+     * Checks whether two URLs only differ in their fragment.
+     * @param {string} url
+     * @param {string} otherUrl
+     * @returns {boolean}
+     */
+    isSameDocumentUrl(url, otherUrl) {
+        return url.split('#')[0] === otherUrl.split('#')[0];
+    }
+
+
+    /**
+     * Listens for a custom event and executes the callback when the event is dispatched.
+     * @param {string} eventName - The name of the event to listen for
+     * @param {Function} callback - The function to call when the event is dispatched
+     * @param {boolean | AddEventListenerOptions} [options] - Optional options for addEventListener.
+     */
+    event(eventName, callback, options) {
+        if (!this.eventListeners[eventName]) {
+            this.eventListeners[eventName] = [];
+        }
+        this.eventListeners[eventName].push({ callback, options });
+        this.eventTarget.addEventListener(eventName, callback, options);
+    }
+
+    /**
+     * Removes a custom event listener.
+     * @param {string} eventName - The name of the event to remove
+     * @param {Function} callback - The function to remove
+     * @param {boolean | AddEventListenerOptions} [options] - Optional options for addEventListener.
+     */
+    removeEvent(eventName, callback, options) {
+        if (this.eventListeners[eventName]) {
+            // Find the index of the listener to remove
+            const index = this.eventListeners[eventName].findIndex(
+                (listener) => listener.callback === callback && JSON.stringify(listener.options) === JSON.stringify(options)
+            );
+            if (index !== -1) {
+                // Remove the listener from the registry
+                this.eventListeners[eventName].splice(index, 1);
+                // If no more listeners for this event, delete the event key
+                if (this.eventListeners[eventName].length === 0) {
+                    delete this.eventListeners[eventName];
+                }
+            }
+        }
+
+        this.eventTarget.removeEventListener(eventName, callback, options);
+    }
+
+    /**
+     * Removes all event listeners for the given event name.
+     * @param {string} eventName
+     */
+    removeAllEvents(eventName) {
+        if (this.eventListeners[eventName]) {
+            this.eventListeners[eventName].forEach(({ callback, options }) => {
+                this.eventTarget.removeEventListener(eventName, callback, options);
+            });
+            delete this.eventListeners[eventName];
+        }
+    }
+
+    /**
+     * Dispatches a custom event with the given name and data.
+     * @param {string} eventName
+     * @param {any} eventData
+     */
+    dispatchEvent(eventName, eventData) {
+        const event = new CustomEvent(eventName, { detail: eventData });
+        this.eventTarget.dispatchEvent(event);
+    }
+
+    // Cleanup Methods
+    // ---------------
+
+    /**
+     * Allows manually re-scanning a specific container for Partial elements.
+     * Useful when dynamically adding content to the DOM.
+     * @param {HTMLElement} container
+     */
+    refresh(container = document) {
+        this.scanForElements(container);
+    }
+
+    /**
+     * Clean up SSE connections when elements are removed.
+     * @param {HTMLElement} element
+     */
+    cleanupSSEElement(element) {
+        if (this.sseConnections.has(element)) {
+            const eventSource = this.sseConnections.get(element);
+            eventSource.close();
+            this.sseConnections.delete(element);
+            element.__xSSEInitialized = false;
+        }
+    }
+
+    /**
+     * Clean up the makeshift SSE (SSEAlt) connections when elements are removed.
+     * @param {HTMLElement} element
+     */
+    cleanupSSEAltElement(element) {
+        if (this.sseConnections.has(element)) {
+            const { controller } = this.sseConnections.get(element);
+            if (controller && typeof controller.abort === 'function') {
+                try {
+                    controller.abort(); // Abort the fetch request and stop reading
+                }catch (e) {
+                }
+
+            }
+            this.sseConnections.delete(element);
+            element.__xSSEInitialized = false;
+        }
     }
 
+    // Error Handling Methods
+    // ----------------------
+
     /**
-     * Determines the HTTP method based on the element's attributes.
+     * Handles errors by calling the provided error callback or logging to the console.
+     * @param {Error} error
      * @param {HTMLElement} element
-     * @returns {string} HTTP method
+     * @param {HTMLElement} [targetElement]
      */
-    getMethod(element) {
-        for (const attr of Object.values(this.ATTRIBUTES.ACTIONS)) {
-            if (this.hasAttributeWithInheritance(element, attr)) {
-                return attr.replace('x-', '').toUpperCase();
+    handleError(error, element, targetElement = null) {
+        if (typeof this.onError === 'function') {
+            this.onError(error, element, error.response || null);
+        } else {
+            console.error('Error:', error);
+            if (targetElement) {
+                this.renderErrorMessage(targetElement, error);
             }
         }
-        return 'GET'; // Default method
     }
 
     /**
-     * Constructs headers from the element's attributes.
-     * @param {HTMLElement} element
-     * @returns {Object} Headers object
+     * Replaces the content of the target with the error message, rendered as text.
+     * @param {HTMLElement} targetElement
+     * @param {Error} error
      */
-    getHeaders(element) {
-        const headers = {};
-
-        if (this.csrfToken) {
-            if (typeof this.csrfToken === 'function') {
-                headers['X-CSRF-Token'] = this.csrfToken();
-            } else {
-                headers['X-CSRF-Token'] = this.csrfToken;
-            }
-        }
+    renderErrorMessage(targetElement, error) {
+        const errorElement = document.createElement('div');
+        errorElement.className = 'error';
+        errorElement.textContent = `An error occurred: ${error.message}`;
+        targetElement.replaceChildren(errorElement);
+    }
+}
 
-        // List of attributes to exclude from headers
-        const excludedAttributes = [
-            ...Object.values(this.ATTRIBUTES.ACTIONS),
-            this.ATTRIBUTES.TARGET,
-            this.ATTRIBUTES.TRIGGER,
-            this.ATTRIBUTES.SWAP,
-            this.ATTRIBUTES.SWAP_OOB,
-            this.ATTRIBUTES.PUSH_STATE,
-            this.ATTRIBUTES.INFINITE_SCROLL,
-            this.ATTRIBUTES.DEBOUNCE
-        ];
+class ResponseCache {
+    /**
+     * Creates an in-memory LRU cache for responses.
+     * @param {number} [maxEntries=100] - Maximum number of entries kept.
+     */
+    constructor(maxEntries = 100) {
+        this.entries    = new Map();
+        this.maxEntries = maxEntries;
+    }
 
-        // Collect x-* attributes to include as headers
-        for (const attr of element.attributes) {
-            const name = attr.name;
-            if (name.startsWith('x-') && !excludedAttributes.includes(name)) {
-                const headerName = 'X-' + this.capitalize(name.substring(2)); // Remove 'x-' prefix and capitalize
-                headers[headerName] = attr.value;
-            }
+    /**
+     * Returns an entry and marks it as most recently used.
+     * @param {string} key
+     * @returns {Object|null}
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return null;
         }
 
-        return headers;
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry;
     }
 
-    // Utility Methods
-    // ---------------
+    /**
+     * Stores an entry, evicting the least recently used ones above the size limit.
+     * @param {string} key
+     * @param {Object} entry
+     */
+    set(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
 
     /**
-     * Retrieves the value of an attribute from the element or its ancestors.
-     * @param {HTMLElement} element
-     * @param {string} attributeName
-     * @returns {string|null}
+     * Removes every entry whose URL matches the pattern, or all entries if no pattern is given.
+     * String patterns match the URL path and query (or the full URL if they include the origin)
+     * by prefix, with "*" matching any characters. RegExp patterns are tested against both.
+     * @param {string|RegExp} [pattern]
+     * @returns {number} The number of removed entries.
      */
-    getAttributeWithInheritance(element, attributeName) {
-        if (!this.INHERITABLE_ATTRIBUTES.includes(attributeName)) {
-            return element.getAttribute(attributeName);
+    invalidate(pattern) {
+        if (!pattern || pattern === '*') {
+            const count = this.entries.size;
+            this.clear();
+            return count;
         }
 
-        let currentElement = element;
-        while (currentElement) {
-            if (currentElement.hasAttribute(attributeName)) {
-                return currentElement.getAttribute(attributeName);
+        let count = 0;
+        this.entries.forEach((entry, key) => {
+            if (ResponseCache.matches(pattern, entry.url)) {
+                this.entries.delete(key);
+                count++;
             }
-            currentElement = currentElement.parentElement;
-        }
-        return null;
+        });
+        return count;
     }
 
     /**
-     * Checks if an attribute exists on the element or its ancestors.
-     * @param {HTMLElement} element
-     * @param {string} attributeName
-     * @returns {boolean}
+     * Removes all entries.
      */
-    hasAttributeWithInheritance(element, attributeName) {
-        return this.getAttributeWithInheritance(element, attributeName) !== null;
+    clear() {
+        this.entries.clear();
     }
 
     /**
-     * Capitalizes the first letter of the string.
-     * @param {string} str
-     * @returns {string}
+     * Checks whether a URL matches an invalidation pattern.
+     * @param {string|RegExp} pattern
+     * @param {string} url
+     * @returns {boolean}
      */
-    capitalize(str) {
-        return str.charAt(0).toUpperCase() + str.slice(1);
+    static matches(pattern, url) {
+        const parsedUrl = new URL(url, window.location.origin);
+        const path = parsedUrl.pathname + parsedUrl.search;
+
+        if (pattern instanceof RegExp) {
+            return pattern.test(path) || pattern.test(parsedUrl.href);
+        }
+
+        const subject = /^https?:\/\//.test(pattern) ? parsedUrl.href : path;
+        const source = pattern.split('*')
+            .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('.*');
+        return new RegExp(`^${source}`).test(subject);
     }
+}
 
+class HistoryCache {
     /**
-     * Debounce function to limit the rate at which a function can fire.
-     * @param {Function} func - The function to debounce.
-     * @param {number} wait - The number of milliseconds to wait.
-     * @returns {Function}
+     * Creates an LRU cache for history snapshots in sessionStorage, so they survive reloads of the tab.
+     * Storage errors are swallowed, a missing snapshot only means the page is requested again.
+     * @param {string} storageKey - Prefix of the sessionStorage keys.
+     * @param {number} [maxEntries=10] - Maximum number of snapshots kept.
      */
-    debounce(func, wait) {
-        let timeout;
-        return (...args) => {
-            const later = () => {
-                clearTimeout(timeout);
-                func.apply(this, args);
-            };
-            clearTimeout(timeout);
-            timeout = setTimeout(later, wait);
-        };
+    constructor(storageKey, maxEntries = 10) {
+        this.storageKey = storageKey;
+        this.maxEntries = maxEntries;
     }
 
-    // Request Execution Methods
-    // -------------------------
-
     /**
-     * Prepares the request body based on the element's attributes.
-     * @param element
-     * @param serializeType
-     * @param paramsObject
-     * @returns {FormData|null|string}
+     * Returns a snapshot and marks it as most recently used.
+     * @param {string} key
+     * @returns {Object|null}
      */
-    prepareRequestBody(element, serializeType, paramsObject) {
-        const method = element ? this.getMethod(element) : 'GET';
-        const isWriteMethod = ['POST', 'PUT', 'PATCH', 'DELETE'].includes(method);
-
-        // Check for x-json attribute
-        const xJson = element && element.getAttribute(this.ATTRIBUTES.JSON);
-        if (xJson) {
-            // If x-json is provided, we use it directly
-            let bodyData;
-            try {
-                bodyData = JSON.parse(xJson);
-            } catch (e) {
-                console.error('Invalid JSON in x-json attribute:', e);
-                throw new Error('Invalid JSON in x-json attribute');
-            }
-
-            if (paramsObject && Object.keys(paramsObject).length > 0) {
-                bodyData = { ...bodyData, ...paramsObject };
-            }
-            return JSON.stringify(bodyData);
+    get(key) {
+        const entry = this.read(`${this.storageKey}:${key}`);
+        if (!entry) {
+            return null;
         }
 
-        // If no x-json provided, we rely on form data or nothing
-        const form = element && (element.tagName === 'FORM' ? element : element.closest('form'));
-
-        if (serializeType === 'json' || serializeType === 'nested-json' || serializeType === 'xml') {
-            if (!form || !(form instanceof HTMLFormElement)) {
-                // If we need to serialize form data but no form is found:
-                if (isWriteMethod) {
-                    throw new Error(`Expected an HTMLFormElement for body serialization, but none found.`);
-                } else {
-                    // For GET or similar we do not need a body
-                    return null;
-                }
-            }
-
-            let body;
-            if (serializeType === 'json') {
-                body = Serializer.serializeFormToJson(form);
-            } else if (serializeType === 'nested-json') {
-                body = Serializer.serializeFormToNestedJson(form);
-            } else if (serializeType === 'xml') {
-                body = Serializer.serializeFormToXml(form);
-            }
+        this.write(`${this.storageKey}:index`, [...this.keys().filter(k => k !== key), key]);
+        return entry;
+    }
 
-            if (paramsObject && Object.keys(paramsObject).length > 0) {
-                body = JSON.stringify({ ...JSON.parse(body), ...paramsObject });
-            }
-            return body;
-        } else {
-            // Default: FormData
-            if (!form || !(form instanceof HTMLFormElement)) {
-                if (isWriteMethod) {
-                    throw new Error(`Expected an HTMLFormElement for FormData, but none found.`);
-                } else {
-                    return null;
-                }
-            }
+    /**
+     * Stores a snapshot, evicting the least recently used ones above the size limit
+     * or until the storage quota leaves room for it.
+     * @param {string} key
+     * @param {Object} entry
+     */
+    set(key, entry) {
+        const keys = [...this.keys().filter(k => k !== key), key];
+        while (keys.length > this.maxEntries) {
+            this.remove(keys.shift());
+        }
 
-            const bodyData = new FormData(form);
-            if (paramsObject && Object.keys(paramsObject).length > 0) {
-                for (const key in paramsObject) {
-                    bodyData.append(key, paramsObject[key]);
-                }
+        while (!this.write(`${this.storageKey}:${key}`, entry)) {
+            if (keys.length === 1) {
+                keys.pop();
+                break;
             }
-            return bodyData;
+            this.remove(keys.shift());
         }
+        this.write(`${this.storageKey}:index`, keys);
     }
 
     /**
-     * Prepares the request URL with query parameters.
-     * @param url string
-     * @param paramsObject object
-     * @returns {*|string}
+     * Removes a snapshot.
+     * @param {string} key
      */
-    prepareRequestUrl(url, paramsObject) {
-        if (!paramsObject || Object.keys(paramsObject).length === 0) {
-            return url;
-        }
+    delete(key) {
+        this.remove(key);
+        this.write(`${this.storageKey}:index`, this.keys().filter(k => k !== key));
+    }
 
-        const queryString = new URLSearchParams(paramsObject).toString();
-        return url.includes('?') ? `${url}&${queryString}` : `${url}?${queryString}`;
+    /**
+     * Removes all snapshots.
+     */
+    clear() {
+        this.keys().forEach(key => this.remove(key));
+        this.remove('index');
     }
 
     /**
-     * Prepares the request headers with CSRF token and additional headers.
-     * @param element
-     * @param defaultHeaders
-     * @returns {{}}
+     * Lists the keys from least to most recently used.
+     * @returns {string[]}
      */
-    prepareRequestHeaders(element, defaultHeaders = {}) {
-        const headers = { ...defaultHeaders };
+    keys() {
+        return this.read(`${this.storageKey}:index`) || [];
+    }
 
-        if (this.csrfToken) {
-            headers['X-CSRF-Token'] =
-                typeof this.csrfToken === 'function' ? this.csrfToken() : this.csrfToken;
+    /**
+     * @param {string} name
+     * @returns {*}
+     */
+    read(name) {
+        try {
+            const value = sessionStorage.getItem(name);
+            return value ? JSON.parse(value) : null;
+        } catch (e) {
+            return null;
         }
+    }
 
-        if (element) {
-            const additionalHeaders = element.getAttribute('x-headers');
-            if (additionalHeaders) {
-                Object.assign(headers, JSON.parse(additionalHeaders));
-            }
+    /**
+     * @param {string} name
+     * @param {*} value
+     * @returns {boolean} Whether the value was stored
+     */
+    write(name, value) {
+        try {
+            sessionStorage.setItem(name, JSON.stringify(value));
+            return true;
+        } catch (e) {
+            return false;
         }
-
-        return headers;
     }
 
     /**
-     * Performs the core request using Fetch API with timeout and retries.
-     * @param {RequestParams} requestParams
-     * @returns {Promise<Response>}
+     * @param {string} key
      */
-    async performRequestCore(requestParams) {
-        const { method, url, headers, body, timeout, maxRetries } = requestParams;
-
-        const controller = new AbortController();
-        const options = { method, headers, body, signal: controller.signal };
-
-        let attempts = 0;
-        const maxAttempts = maxRetries + 1;
-
-        while (attempts < maxAttempts) {
-            attempts++;
-            try {
-                const timeoutId = timeout
-                    ? setTimeout(() => controller.abort(), timeout)
-                    : null;
-
-                const response = await fetch(url, options);
-
-                if (timeoutId) clearTimeout(timeoutId);
-
-                if (!response.ok) {
-                    // Fetch succeeded but HTTP error
-                    const text = await response.text();
-                    throw new Error(`HTTP error ${response.status}: ${text}`);
-                }
-
-                // Successfully got a response
-                return response;
-
-            } catch (error) {
-                if (error.name === 'AbortError') {
-                    throw new Error('Request timed out');
-                }
-
-                // If this was the last attempt, rethrow
-                if (attempts >= maxAttempts) {
-                    throw error;
-                }
-                // Otherwise, it will loop and try again
-            }
+    remove(key) {
+        try {
+            sessionStorage.removeItem(`${this.storageKey}:${key}`);
+        } catch (e) {
+            // Storage is unavailable, nothing to remove
         }
-
-        // If we exit the loop here without returning or throwing, this is a logic flaw.
-        // Always throw an error or return something if we don't get a response.
-        throw new Error('No response returned from performRequestCore (all attempts failed without producing a response).');
     }
+}
 
+class TriggerParser {
     /**
-     * Performs the request and returns the response text.
-     * @param {RequestParams} requestParams
-     * @returns {Promise<*>}
+     * Parses an x-trigger value into trigger specs. Triggers are comma-separated, each an event name
+     * with an optional [filter] followed by modifiers, e.g. "keyup[key=='Enter'] changed delay:300ms, load".
+     * @param {string} value
+     * @returns {Object[]}
      */
-    async performRequest(requestParams) {
-        // Run beforeRequest hooks
-        await this.runHooks('beforeRequest', { requestParams, partial: this });
-
-        return await this.runMiddleware(requestParams, async () => {
-            const { element, paramsObject } = requestParams;
-            const serializeType = element?.getAttribute(this.ATTRIBUTES.SERIALIZE) || 'json';
-
-            const body = this.prepareRequestBody(element, serializeType, paramsObject);
-            const url = this.prepareRequestUrl(requestParams.url, paramsObject);
-            const headers = this.prepareRequestHeaders(element, requestParams.headers);
-
-            let response;
-            try {
-                response = await this.performRequestCore({ ...requestParams, url, body, headers });
-            } catch (error) {
-                console.error('performRequestCore failed:', error);
-                throw error;
-            }
-
-            if (!response) {
-                throw new Error('No response returned from performRequestCore');
-            }
-
-            this.lastResponse = response;
-
-            // Run afterResponse hooks
-            await this.runHooks('afterResponse', { requestParams, response, partial: this });
-
-            return response.text();
-        });
+    static parse(value) {
+        return TriggerParser.splitTopLevel(value, ',')
+            .map(part => part.trim())
+            .filter(Boolean)
+            .map(part => TriggerParser.parseTrigger(part))
+            .filter(Boolean);
     }
 
     /**
-     * Processes the response text and updates the DOM accordingly.
-     * @param {string} responseText
-     * @param {HTMLElement} targetElement
-     * @param {HTMLElement} element
+     * Parses a single trigger.
+     * @param {string} text
+     * @returns {Object|null} The trigger spec, or null if it is invalid.
      */
-    async processResponse(responseText, targetElement, element) {
-        // Dispatch beforeUpdate event
-        this.dispatchEvent('beforeUpdate', { targetElement, element });
-
-        // Parse the response HTML
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(responseText, 'text/html');
-
-        // Extract OOB elements
-        const oobElements = Array.from(doc.querySelectorAll(`[${this.ATTRIBUTES.SWAP_OOB}]`));
-        oobElements.forEach(el => el.parentNode.removeChild(el));
+    static parseTrigger(text) {
+        const eventMatch = /^[^\s[]+/.exec(text);
+        const eventEnd = eventMatch ? eventMatch[0].length : 0;
+        const hasFilter = text[eventEnd] === '[';
+
+        // The filter runs to its closing bracket, which may be followed by brackets in modifier selectors
+        const filterEnd = hasFilter ? TriggerParser.findClosingBracket(text, eventEnd) : eventEnd - 1;
+        if (!eventMatch || filterEnd === -1) {
+            console.warn(`Invalid trigger '${text}' in x-trigger.`);
+            return null;
+        }
 
-        // Handle backend instructions
-        const backendTargetSelector = this.lastResponse.headers.get('X-Target');
-        const backendSwapOption = this.lastResponse.headers.get('X-Swap');
-        const infiniteScrollAction = this.lastResponse.headers.get('X-Infinite-Scroll');
+        const filterText = hasFilter ? text.substring(eventEnd + 1, filterEnd) : undefined;
+        const modifiersText = text.substring(filterEnd + 1);
+
+        const spec = {
+            event: eventMatch[0],
+            filter: [],
+            interval: null,
+            changed: false,
+            once: false,
+            delay: null,
+            throttle: null,
+            from: null,
+            target: null,
+            root: null,
+            threshold: null,
+        };
 
-        // Determine the target element
-        let finalTargetElement = targetElement;
-        if (backendTargetSelector) {
-            const backendTargetElement = document.querySelector(backendTargetSelector) || document.getElementById(backendTargetSelector);
-            if (backendTargetElement) {
-                finalTargetElement = backendTargetElement;
-            } else if(backendTargetSelector === 'root') {
-                // replace the entire body
-                finalTargetElement = window;
-            }else {
-                console.error(`No element found with selector '${backendTargetSelector}' specified in X-Target header.`);
+        if (filterText !== undefined) {
+            spec.filter = TriggerParser.parseFilter(filterText);
+            if (!spec.filter) {
+                return null;
             }
         }
 
-        // Determine the swap option
-        let swapOption = this.getAttributeWithInheritance(element, this.ATTRIBUTES.SWAP) || this.defaultSwapOption;
-        if (backendSwapOption) {
-            swapOption = backendSwapOption;
-        }
-
-        // Get the content from the response
-        const newContent = doc.body.innerHTML;
-
-        // Replace the target's content
-        this.performSwap(finalTargetElement, newContent, swapOption);
-
-        // Dispatch afterUpdate event
-        this.dispatchEvent('afterUpdate', { targetElement: finalTargetElement, element });
+        const tokens = modifiersText.trim().split(/\s+/).filter(Boolean);
 
-        // Re-scan the newly added content for Partial elements
-        this.scanForElements(finalTargetElement);
+        // "every <interval>" takes the interval as its first token
+        if (spec.event === 'every') {
+            spec.interval = tokens.shift() || null;
+        }
 
-        // Handle OOB swapping with the extracted OOB elements
-        this.handleOobSwapping(oobElements);
+        const valueModifiers = ['delay', 'throttle', 'from', 'target', 'root', 'threshold'];
+        const isModifier = (token) => /^(changed|once|(delay|throttle|from|target|root|threshold):)/.test(token);
 
-        // Handle any x-event-* headers from the response
-        await this.handleResponseEvents();
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            if (token === 'changed' || token === 'once') {
+                spec[token] = true;
+                continue;
+            }
 
+            const separator = token.indexOf(':');
+            const name = separator === -1 ? token : token.substring(0, separator);
+            if (separator === -1 || !valueModifiers.includes(name)) {
+                console.warn(`Unknown modifier '${token}' in x-trigger '${text}'.`);
+                continue;
+            }
 
-        // Stop infinite scroll if instructed by backend
-        if (infiniteScrollAction === 'stop' && element.hasAttribute(this.ATTRIBUTES.INFINITE_SCROLL)) {
-            this.stopInfiniteScroll(element);
+            // Selectors may contain spaces, they run until the next modifier
+            let modifierValue = token.substring(separator + 1);
+            if (name === 'from' || name === 'target' || name === 'root') {
+                while (i + 1 < tokens.length && !isModifier(tokens[i + 1])) {
+                    modifierValue += ' ' + tokens[++i];
+                }
+            }
+            spec[name] = modifierValue;
         }
 
-        // after all DOM updates
-        await this.runHooks('afterSettle', { element, targetElement, partial: this });
+        return spec;
     }
 
     /**
-     * Handles Out-of-Band (OOB) swapping by processing an array of OOB elements.
-     * Replaces existing elements in the document with the new content based on matching IDs.
-     * @param {HTMLElement[]} oobElements
+     * Parses a trigger filter into conditions joined by "&&". Each condition is an optionally negated
+     * name (a registered filter or an event property) or a comparison of an event property path
+     * with a string, number, boolean or null literal, e.g. "key=='Enter' && !shiftKey".
+     * @param {string} text
+     * @returns {Object[]|null} The conditions, or null if the filter is invalid.
      */
-    handleOobSwapping(oobElements) {
-        oobElements.forEach(oobElement => {
-            const targetId = oobElement.getAttribute('id');
-            if (!targetId) {
-                console.error('OOB element does not have an ID:', oobElement);
-                return;
+    static parseFilter(text) {
+        const conditions = [];
+
+        for (const part of TriggerParser.splitTopLevel(text, '&&').map(condition => condition.trim())) {
+            const nameMatch = /^(!?)\s*([\w$.]+)$/.exec(part);
+            if (nameMatch) {
+                conditions.push({ negate: nameMatch[1] === '!', path: nameMatch[2] });
+                continue;
             }
 
-            const swapOption = oobElement.getAttribute(this.ATTRIBUTES.SWAP_OOB) || this.defaultSwapOption;
-            const existingElement = document.getElementById(targetId);
-
-            if (!existingElement) {
-                console.error(`No existing element found with ID '${targetId}' for OOB swapping.`);
-                return;
+            const comparisonMatch = /^([\w$.]+)\s*(===?|!==?)\s*(.+)$/.exec(part);
+            const literal = comparisonMatch ? TriggerParser.parseLiteral(comparisonMatch[3].trim()) : undefined;
+            if (!comparisonMatch || literal === undefined) {
+                console.warn(`Invalid condition '${part}' in x-trigger filter.`);
+                return null;
             }
 
-            const newContent = oobElement.outerHTML;
-
-            this.performSwap(existingElement, newContent, swapOption);
+            conditions.push({
+                negate: false,
+                path: comparisonMatch[1],
+                operator: comparisonMatch[2].startsWith('=') ? '==' : '!=',
+                value: literal,
+            });
+        }
 
-            // After swapping, initialize any new elements within the replaced content
-            const newElement = document.getElementById(targetId);
-            if (newElement) {
-                this.scanForElements(newElement);
-            }
-        });
+        return conditions;
     }
 
     /**
-     * Performs the swap operation on the target element based on the swap option.
-     * @param {HTMLElement} targetElement
-     * @param {string} newContent
-     * @param {string} swapOption
+     * Parses a filter literal.
+     * @param {string} text
+     * @returns {string|number|boolean|null|undefined} The value, or undefined if it is not a literal.
      */
-    performSwap(targetElement, newContent, swapOption) {
-        // Create a template element to parse the HTML
-        const template = document.createElement('template');
-        template.innerHTML = newContent.trim();
-        const fragment = template.content;
-
-        // Pre-initialize elements within this fragment
-        // This runs `setupElement` and attaches event listeners off-DOM
-        this.scanForElements(fragment);
-
-        switch (swapOption) {
-            case 'outerHTML':
-                // Replace the entire target element with the content of the fragment
-                targetElement.replaceWith(fragment);
-                break;
-
-            case 'innerHTML':
-                // Clear and append fragment's children inside targetElement
-                targetElement.innerHTML = '';
-                targetElement.appendChild(fragment);
-                break;
-            case 'beforebegin':
-            case 'afterbegin':
-            case 'beforeend':
-            case 'afterend':
-                targetElement.insertAdjacentHTML(swapOption, newContent);
-                break;
-            default:
-                console.error(`Invalid swap option '${swapOption}'. Using 'innerHTML' as default.`);
-                targetElement.innerHTML = newContent;
-                break;
+    static parseLiteral(text) {
+        const stringMatch = /^(['"])(.*)\1$/.exec(text);
+        if (stringMatch) {
+            return stringMatch[2];
+        }
+        if (text === 'true' || text === 'false') {
+            return text === 'true';
+        }
+        if (text === 'null') {
+            return null;
         }
+        if (/^-?\d+(\.\d+)?$/.test(text)) {
+            return parseFloat(text);
+        }
+        return undefined;
     }
 
     /**
-     * Handles any x-event-* headers from the response and dispatches events accordingly.
+     * Finds the bracket closing the one at the given index, skipping brackets inside quotes.
+     * @param {string} text
+     * @param {number} start - Index of the opening bracket.
+     * @returns {number} The index of the closing bracket, or -1 if it is missing.
      */
-    async handleResponseEvents() {
-        if (!this.lastResponse || !this.lastResponse.headers) {
-            return;
+    static findClosingBracket(text, start) {
+        let depth = 0;
+        let quote = null;
+
+        for (let i = start; i < text.length; i++) {
+            const char = text[i];
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '[') {
+                depth++;
+            } else if (char === ']' && --depth === 0) {
+                return i;
+            }
         }
 
-        this.lastResponse.headers.forEach((value, name) => {
-            const lowerName = name.toLowerCase();
-            if (lowerName.startsWith('x-event-')) {
-                const eventName = name.substring(8); // Remove 'x-event-' prefix
-                let eventData = value;
-                try {
-                    eventData = JSON.parse(value);
-                } catch (e) {
-                    // Value is not JSON, use as is
-                }
-                this.dispatchEvent(eventName, eventData);
+        return -1;
+    }
+
+    /**
+     * Splits a string on a separator of one or more characters, ignoring separators inside brackets and quotes.
+     * @param {string} text
+     * @param {string} separator
+     * @returns {string[]}
+     */
+    static splitTopLevel(text, separator) {
+        const parts = [];
+        let depth = 0;
+        let quote = null;
+        let current = '';
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '[') {
+                depth++;
+            } else if (char === ']') {
+                depth--;
+            } else if (depth === 0 && text.startsWith(separator, i)) {
+                parts.push(current);
+                current = '';
+                i += separator.length - 1;
+                continue;
             }
-        });
+            current += char;
+        }
+
+        parts.push(current);
+        return parts;
     }
+}
 
-    // Event Handling Methods
-    // ----------------------
+class HtmlSanitizer {
+    /**
+     * Creates an allowlist sanitizer. Elements that are not allowed are unwrapped, keeping their content,
+     * except for those that are dropped with their content, such as scripts and frames.
+     * @param {Object} [options]
+     * @param {string[]} [options.allowedTags] - Tags that are kept, replacing the default list.
+     * @param {string[]} [options.allowedAttributes] - Attributes that are kept, replacing the default list.
+     * @param {string[]} [options.allowedAttributePrefixes] - Prefixes of attributes that are kept, replacing data- and aria-.
+     *        Add x- to keep Partial's attributes, which let the content send requests.
+     * @param {Function} [options.createHTML] - Wraps HTML before it is parsed, e.g. for Trusted Types.
+     */
+    constructor(options = {}) {
+        this.allowedTags = options.allowedTags || [
+            'a', 'abbr', 'address', 'article', 'aside', 'audio', 'b', 'bdi', 'bdo', 'blockquote', 'br', 'button',
+            'caption', 'cite', 'code', 'col', 'colgroup', 'data', 'datalist', 'dd', 'del', 'details', 'dfn', 'dialog',
+            'div', 'dl', 'dt', 'em', 'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4',
+            'h5', 'h6', 'header', 'hgroup', 'hr', 'i', 'img', 'input', 'ins', 'kbd', 'label', 'legend', 'li', 'main',
+            'mark', 'menu', 'meter', 'nav', 'ol', 'optgroup', 'option', 'output', 'p', 'picture', 'pre', 'progress',
+            'q', 'rp', 'rt', 'ruby', 's', 'samp', 'section', 'select', 'small', 'source', 'span', 'strong', 'sub',
+            'summary', 'sup', 'table', 'tbody', 'td', 'template', 'textarea', 'tfoot', 'th', 'thead', 'time', 'tr',
+            'track', 'u', 'ul', 'var', 'video', 'wbr',
+        ];
+        this.allowedAttributes = options.allowedAttributes || [
+            'id', 'class', 'style', 'title', 'role', 'lang', 'dir', 'hidden', 'tabindex', 'name', 'value', 'type',
+            'href', 'src', 'srcset', 'sizes', 'alt', 'width', 'height', 'colspan', 'rowspan', 'headers', 'scope',
+            'for', 'form', 'action', 'method', 'enctype', 'placeholder', 'autocomplete', 'checked', 'selected',
+            'disabled', 'readonly', 'required', 'multiple', 'min', 'max', 'step', 'pattern', 'minlength', 'maxlength',
+            'open', 'datetime', 'cite', 'label', 'controls', 'autoplay', 'loop', 'muted', 'poster', 'preload',
+            'target', 'rel', 'download', 'start', 'reversed', 'span', 'kind', 'srclang', 'low', 'high', 'optimum',
+        ];
+        // x-* attributes would let sanitized content send requests, e.g. x-post with x-trigger="load"
+        this.allowedAttributePrefixes = options.allowedAttributePrefixes || ['data-', 'aria-'];
+        this.createHTML = options.createHTML || (html => html);
+
+        // Dropped with their content, whatever the allowlist says
+        this.droppedTags = [
+            'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'noscript',
+            'base', 'link', 'meta', 'title', 'svg', 'math',
+        ];
+        // x-on-error names a global function to call, even with x- allowed
+        this.droppedAttributes = ['x-on-error'];
+        this.urlAttributes = ['href', 'src', 'srcset', 'action', 'formaction', 'poster', 'cite'];
+    }
 
     /**
-     * Dispatches custom events specified in a comma-separated string.
-     * @param {string} events - Comma-separated event names.
-     * @param {Object} detail - Detail object to pass with the event.
+     * Sanitizes an HTML string.
+     * @param {string} html
+     * @returns {string}
      */
-    async dispatchCustomEvents(events, detail) {
-        const eventNames = events.split(',').map(e => e.trim());
-        for (const eventName of eventNames) {
-            const event = new CustomEvent(eventName, { detail });
-            this.eventTarget.dispatchEvent(event);
-        }
+    sanitize(html) {
+        const template = document.createElement('template');
+        template.innerHTML = this.createHTML(html);
+        this.sanitizeChildren(template.content);
+        return template.innerHTML;
     }
 
     /**
-     * Handles the popstate event for browser navigation.
-     * @param {PopStateEvent} event
+     * Sanitizes the children of a node in place.
+     * @param {Node} parent
      */
-    async handlePopState(event) {
-        if (event.state && event.state.xPartial) {
-            const { partialId, url, swapOption, maxRetries } = event.state;
-            if (!partialId || !url ) {
-                console.warn('No partialId or url found in history.state, falling back to full reload.');
-                window.location.reload();
+    sanitizeChildren(parent) {
+        Array.from(parent.childNodes).forEach(node => {
+            if (node.nodeType !== Node.ELEMENT_NODE) {
                 return;
             }
 
-            const targetElement = document.getElementById(partialId);
-            if (!targetElement) {
-                console.warn(`No element found with ID '${partialId}'. Falling back to full reload.`);
-                window.location.reload();
+            const element = /** @type {Element} */ (node);
+            const tagName = element.tagName.toLowerCase();
+
+            if (this.droppedTags.includes(tagName)) {
+                element.remove();
                 return;
             }
 
+            this.sanitizeChildren(element);
 
-            // Re-extract requestParams from the targetElement
-            const requestParams = this.extractRequestParams(targetElement);
-
-            requestParams.element = targetElement;
-            requestParams.url = url; // Ensure url is set to the popped state URL
-            requestParams.maxRetries = maxRetries; // Set a default retry limit
-            requestParams.headers["X-Target"] = partialId;
-
-            // Run the request again to restore the state
-            try {
-                const responseText = await this.performRequest(requestParams);
-                const targetElement = document.querySelector(requestParams.targetSelector);
-                if (!targetElement) {
-                    console.error(`No element found with selector '${requestParams.targetSelector}' for infinite scroll.`);
-                    return;
-                }
-
-                if (swapOption) {
-                    targetElement.setAttribute('x-swap', swapOption);
-                }
+            if (!this.allowedTags.includes(tagName)) {
+                element.replaceWith(...Array.from(element.childNodes));
+                return;
+            }
 
-                await this.processResponse(responseText, targetElement, targetElement);
-                if (this.autoFocus) {
-                    targetElement.focus();
-                }
-            } catch (error) {
-                this.handleError(error, targetElement);
+            this.sanitizeAttributes(element);
+            if (element instanceof HTMLTemplateElement) {
+                this.sanitizeChildren(element.content);
             }
-        } else {
-            // No xPartial state, fallback to full page reload or handle differently
-            window.location.reload();
-        }
+        });
     }
 
-
     /**
-     * Listens for a custom event and executes the callback when the event is dispatched.
-     * @param {string} eventName - The name of the event to listen for
-     * @param {Function} callback - The function to call when the event is dispatched
-     * @param {boolean | AddEventListenerOptions} [options] - Optional options for addEventListener.
+     * Removes the attributes of an element that are not allowed, event handlers and unsafe URLs.
+     * @param {Element} element
      */
-    event(eventName, callback, options) {
-        if (!this.eventListeners[eventName]) {
-            this.eventListeners[eventName] = [];
-        }
-        this.eventListeners[eventName].push({ callback, options });
-        this.eventTarget.addEventListener(eventName, callback, options);
+    sanitizeAttributes(element) {
+        Array.from(element.attributes).forEach(attr => {
+            const name = attr.name.toLowerCase();
+            const allowed = this.allowedAttributes.includes(name)
+                || this.allowedAttributePrefixes.some(prefix => name.startsWith(prefix));
+
+            const unsafe = name.startsWith('on')
+                || this.droppedAttributes.includes(name)
+                || (this.urlAttributes.includes(name) && !this.isSafeAttributeUrl(name, attr.value));
+
+            if (!allowed || unsafe) {
+                element.removeAttribute(attr.name);
+            }
+        });
     }
 
     /**
-     * Removes a custom event listener.
-     * @param {string} eventName - The name of the event to remove
-     * @param {Function} callback - The function to remove
-     * @param {boolean | AddEventListenerOptions} [options] - Optional options for addEventListener.
+     * Checks the URL(s) of an attribute, srcset holds a comma-separated list of candidates.
+     * @param {string} name
+     * @param {string} value
+     * @returns {boolean}
      */
-    removeEvent(eventName, callback, options) {
-        if (this.eventListeners[eventName]) {
-            // Find the index of the listener to remove
-            const index = this.eventListeners[eventName].findIndex(
-                (listener) => listener.callback === callback && JSON.stringify(listener.options) === JSON.stringify(options)
-            );
-            if (index !== -1) {
-                // Remove the listener from the registry
-                this.eventListeners[eventName].splice(index, 1);
-                // If no more listeners for this event, delete the event key
-                if (this.eventListeners[eventName].length === 0) {
-                    delete this.eventListeners[eventName];
-                }
-            }
+    isSafeAttributeUrl(name, value) {
+        if (name !== 'srcset') {
+            return this.isSafeUrl(value);
         }
-
-        this.eventTarget.removeEventListener(eventName, callback, options);
+        return value.split(',').every(candidate => this.isSafeUrl(candidate.trim().split(/\s+/)[0] || ''));
     }
 
     /**
-     * Removes all event listeners for the given event name.
-     * @param {string} eventName
+     * Allows relative URLs, http(s), mailto and tel, and raster data:image URLs.
+     * @param {string} url
+     * @returns {boolean}
      */
-    removeAllEvents(eventName) {
-        if (this.eventListeners[eventName]) {
-            this.eventListeners[eventName].forEach(({ callback, options }) => {
-                this.eventTarget.removeEventListener(eventName, callback, options);
-            });
-            delete this.eventListeners[eventName];
+    isSafeUrl(url) {
+        // Browsers ignore whitespace and control characters in the scheme, e.g. "java\tscript:"
+        const normalized = url.replace(/[\u0000-\u0020\u007f-\u009f]/g, '');
+        const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(normalized);
+        if (!scheme) {
+            return true;
         }
+
+        return ['http', 'https', 'mailto', 'tel'].includes(scheme[1].toLowerCase())
+            || /^data:image\/(png|gif|jpe?g|webp|avif)[;,]/i.test(normalized);
     }
+}
 
+class Morpher {
     /**
-     * Dispatches a custom event with the given name and data.
-     * @param {string} eventName
-     * @param {any} eventData
+     * Creates a morpher that patches live DOM nodes to match new ones.
+     * @param {Object} [options]
+     * @param {string} [options.preserveAttribute='x-preserve'] - Elements with this attribute are never patched.
      */
-    dispatchEvent(eventName, eventData) {
-        const event = new CustomEvent(eventName, { detail: eventData });
-        this.eventTarget.dispatchEvent(event);
+    constructor(options = {}) {
+        this.preserveAttribute = options.preserveAttribute || 'x-preserve';
     }
 
-    // Cleanup Methods
-    // ---------------
-
     /**
-     * Allows manually re-scanning a specific container for Partial elements.
-     * Useful when dynamically adding content to the DOM.
-     * @param {HTMLElement} container
+     * Patches a live node to match a new one, replacing it if the node type or tag differs.
+     * @param {Node} oldNode - The node in the document.
+     * @param {Node} newNode - The node from the response.
+     * @returns {Node} The node left in the document.
      */
-    refresh(container = document) {
-        this.scanForElements(container);
+    morphNode(oldNode, newNode) {
+        if (oldNode.nodeType !== newNode.nodeType || oldNode.nodeName !== newNode.nodeName) {
+            oldNode.parentNode.replaceChild(newNode, oldNode);
+            return newNode;
+        }
+
+        if (oldNode.nodeType !== Node.ELEMENT_NODE) {
+            if (oldNode.nodeValue !== newNode.nodeValue) {
+                oldNode.nodeValue = newNode.nodeValue;
+            }
+            return oldNode;
+        }
+
+        const oldElement = /** @type {Element} */ (oldNode);
+        if (oldElement.hasAttribute(this.preserveAttribute)) {
+            return oldElement;
+        }
+
+        this.morphAttributes(oldElement, /** @type {Element} */ (newNode));
+        this.morphChildren(oldElement, newNode);
+        return oldElement;
     }
 
     /**
-     * Clean up SSE connections when elements are removed.
-     * @param {HTMLElement} element
+     * Patches the children of a live node. New children are matched by id first, then by position
+     * if node type and tag agree; unmatched new children are inserted and leftover old ones removed.
+     * A matched node is never moved, as moving blurs focus, restarts media and reloads iframes:
+     * the old nodes before it are removed instead, only those a later child matches by id move past it.
+     * @param {Node} oldParent
+     * @param {Node} newParent
      */
-    cleanupSSEElement(element) {
-        if (this.sseConnections.has(element)) {
-            const eventSource = this.sseConnections.get(element);
-            eventSource.close();
-            this.sseConnections.delete(element);
-            element.__xSSEInitialized = false;
+    morphChildren(oldParent, newParent) {
+        const newChildren = Array.from(newParent.childNodes);
+        const newIds = new Set(newChildren
+            .filter(child => child.nodeType === Node.ELEMENT_NODE && /** @type {Element} */ (child).id)
+            .map(child => /** @type {Element} */ (child).id));
+
+        let cursor = oldParent.firstChild;
+
+        newChildren.forEach(newChild => {
+            const match = this.findMatch(cursor, newChild, newIds);
+
+            if (!match) {
+                oldParent.insertBefore(newChild, cursor);
+                return;
+            }
+
+            if (match !== cursor) {
+                const reordered = [];
+                for (let node = cursor; node !== match;) {
+                    const next = node.nextSibling;
+                    if (node.nodeType === Node.ELEMENT_NODE && newIds.has(/** @type {Element} */ (node).id)) {
+                        reordered.push(node);
+                    } else {
+                        oldParent.removeChild(node);
+                    }
+                    node = next;
+                }
+                const after = match.nextSibling;
+                reordered.forEach(node => oldParent.insertBefore(node, after));
+            }
+            cursor = match.nextSibling;
+            this.morphNode(match, newChild);
+        });
+
+        // Whatever was not matched is gone from the new content
+        while (cursor) {
+            const next = cursor.nextSibling;
+            oldParent.removeChild(cursor);
+            cursor = next;
         }
     }
 
     /**
-     * Clean up the makeshift SSE (SSEAlt) connections when elements are removed.
-     * @param {HTMLElement} element
+     * Finds the old node a new child is morphed into, searching from the cursor onwards.
+     * @param {Node|null} cursor - The first old node that is not matched yet.
+     * @param {Node} newChild
+     * @param {Set<string>} newIds - Ids among the new children, reserved for their id match.
+     * @returns {Node|null}
      */
-    cleanupSSEAltElement(element) {
-        if (this.sseConnections.has(element)) {
-            const { controller } = this.sseConnections.get(element);
-            if (controller && typeof controller.abort === 'function') {
-                try {
-                    controller.abort(); // Abort the fetch request and stop reading
-                }catch (e) {
+    findMatch(cursor, newChild, newIds) {
+        const id = newChild.nodeType === Node.ELEMENT_NODE ? /** @type {Element} */ (newChild).id : '';
+        if (id) {
+            for (let node = cursor; node; node = node.nextSibling) {
+                if (node.nodeType === Node.ELEMENT_NODE && /** @type {Element} */ (node).id === id) {
+                    return node;
                 }
-
             }
-            this.sseConnections.delete(element);
-            element.__xSSEInitialized = false;
         }
-    }
 
-    // Error Handling Methods
-    // ----------------------
+        if (!cursor || cursor.nodeType !== newChild.nodeType || cursor.nodeName !== newChild.nodeName) {
+            return null;
+        }
+
+        // An element with a different id is not reused, or waits for its own match if its id comes later
+        const cursorId = cursor.nodeType === Node.ELEMENT_NODE ? /** @type {Element} */ (cursor).id : '';
+        if (cursorId && cursorId !== id && (id || newIds.has(cursorId))) {
+            return null;
+        }
+
+        return cursor;
+    }
 
     /**
-     * Handles errors by calling the provided error callback or logging to the console.
-     * @param {Error} error
-     * @param {HTMLElement} element
-     * @param {HTMLElement} [targetElement]
+     * Copies the attributes of the new element onto the live one. The open state of <details>
+     * belongs to the user and is left alone.
+     * @param {Element} oldElement
+     * @param {Element} newElement
      */
-    handleError(error, element, targetElement = null) {
-        if (typeof this.onError === 'function') {
-            this.onError(error, element);
-        } else {
-            console.error('Error:', error);
-            if (targetElement) {
-                targetElement.innerHTML = `<div class="error">An error occurred: ${error.message}</div>`;
+    morphAttributes(oldElement, newElement) {
+        const keepsOpen = oldElement.tagName === 'DETAILS';
+
+        Array.from(oldElement.attributes).forEach(attr => {
+            if (!newElement.hasAttribute(attr.name) && !(keepsOpen && attr.name === 'open')) {
+                oldElement.removeAttribute(attr.name);
             }
-        }
+        });
+
+        Array.from(newElement.attributes).forEach(attr => {
+            if (oldElement.getAttribute(attr.name) !== attr.value && !(keepsOpen && attr.name === 'open')) {
+                oldElement.setAttribute(attr.name, attr.value);
+            }
+        });
     }
 }
 
 class Serializer {
+    /**
+     * Returns the form data entries of a form, with the field of each name.
+     * @param {HTMLFormElement} form
+     * @param {HTMLElement|null} [submitter=null] - The button that submitted the form, whose name and value are added.
+     * @returns {Array<[string, string|File, HTMLElement|null]>}
+     */
+    static getFormEntries(form, submitter = null) {
+        // The first field of each name, from the form's own controls, including those outside it with a form attribute
+        const fields = new Map();
+        Array.from(form.elements).forEach(field => {
+            const name = field.getAttribute('name');
+            if (name && !fields.has(name)) {
+                fields.set(name, field);
+            }
+        });
+        return Array.from(new FormData(form, submitter)).map(([name, value]) => [name, value, fields.get(name) || null]);
+    }
+
     /**
      * Serializes form data to a flat JSON string.
      * @param {HTMLFormElement} form
      * @returns {string} JSON string
      */
     static serializeFormToJson(form) {
-        const formData = new FormData(form);
+        return this.serializeEntriesToJson(this.getFormEntries(form));
+    }
+
+    /**
+     * Serializes name/value entries to a flat JSON string. Repeated names become arrays.
+     * @param {Array<[string, *]>} entries
+     * @returns {string} JSON string
+     */
+    static serializeEntriesToJson(entries) {
         const jsonObject = {};
-        formData.forEach((value, key) => {
+        entries.forEach(([key, value]) => {
             if (jsonObject[key]) {
                 if (Array.isArray(jsonObject[key])) {
                     jsonObject[key].push(value);
@@ -1647,12 +6127,23 @@ class Serializer {
      * @returns {string} Nested JSON string
      */
     static serializeFormToNestedJson(form) {
-        const formData = new FormData(form);
+        return this.serializeEntriesToNestedJson(this.getFormEntries(form));
+    }
+
+    /**
+     * Serializes name/value/field entries to a nested JSON string. The field of an entry
+     * decides how its value is converted.
+     * @param {Array<[string, *, HTMLElement|null]>} entries
+     * @returns {string} Nested JSON string
+     */
+    static serializeEntriesToNestedJson(entries) {
         const serializedData = {};
 
-        for (let [name, value] of formData) {
-            const inputElement = form.querySelector(`[name="${name}"]`);
-            const checkBoxCustom = form.querySelector(`[data-custom="true"]`);
+        for (let [name, value, field] of entries) {
+            const inputElement = /** @type {HTMLInputElement|null} */ (field);
+            const checkBoxCustom = inputElement && inputElement.form
+                ? inputElement.form.querySelector(`[data-custom="true"]`)
+                : null;
             const inputType = inputElement ? inputElement.type : null;
             const inputStep = inputElement ? inputElement.step : null;
 
@@ -1713,10 +6204,18 @@ class Serializer {
      * @returns {string} XML string
      */
     static serializeFormToXml(form) {
-        const formData = new FormData(form);
+        return this.serializeEntriesToXml(this.getFormEntries(form));
+    }
+
+    /**
+     * Serializes name/value entries to an XML string.
+     * @param {Array<[string, *]>} entries
+     * @returns {string} XML string
+     */
+    static serializeEntriesToXml(entries) {
         let xmlString = '<?xml version="1.0" encoding="UTF-8"?><form>';
 
-        formData.forEach((value, key) => {
+        entries.forEach(([key, value]) => {
             xmlString += `<${key}>${this.escapeXml(value)}</${key}>`;
         });
 
@@ -0,0 +1,318 @@
+// @ts-check
+
+/**
+ * @typedef {Object} offlineConfig
+ * @property {Object} partial               - The partial object
+ * @property {string} [dbName]              - The IndexedDB database name
+ * @property {string} [storeName]           - The object store holding queued requests
+ * @property {string} [idempotencyHeader]   - The header carrying the idempotency key
+ * @property {number} [retryDelay=5000]     - Delay in milliseconds before a failed replay is retried while online, doubled on each further failure
+ * @property {number} [maxRetryDelay=60000] - Upper bound in milliseconds for the retry delay
+ */
+
+/**
+ * @typedef {Object} QueuedRequest
+ * @property {number} id                 - Auto-incremented key, defines the replay order
+ * @property {string} method             - The HTTP method
+ * @property {string} url                - The request URL
+ * @property {Object} headers            - The request headers, including the idempotency key
+ * @property {Object|null} body          - The serialized request body
+ * @property {RequestCredentials} [credentials] - The credentials mode set by the origin policy
+ * @property {string} [targetSelector]   - The target of the original action
+ * @property {number} queuedAt           - Timestamp of when the request was queued
+ * @property {number} attempts           - Number of failed replay attempts
+ * @property {string} [lastError]        - The error of the last failed replay
+ */
+class PartialOfflineQueue {
+    constructor(config) {
+        this.partial           = config.partial;
+        this.dbName            = config.dbName || 'partial-offline';
+        this.storeName         = config.storeName || 'requests';
+        this.idempotencyHeader = config.idempotencyHeader || 'Idempotency-Key';
+        this.retryDelay        = config.retryDelay || 5000;
+        this.maxRetryDelay     = config.maxRetryDelay || 60000;
+
+        this.dbPromise    = null;
+        this.replaying    = false;
+        this.retryTimer   = null;
+        this.retryCount   = 0;
+        this.handleOnline = () => this.replay();
+
+        if(!this.partial){
+            console.error('partial.js is required for this component to work');
+            return;
+        }
+
+        this.init();
+    }
+
+    init() {
+        window.addEventListener('online', this.handleOnline);
+
+        // Replay whatever was left over from a previous session
+        if (navigator.onLine) {
+            this.replay();
+        }
+    }
+
+    /**
+     * Opens the database, creating the object store on first use.
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Runs a single operation against the object store.
+     * @param {IDBTransactionMode} mode
+     * @param {Function} operation - Receives the object store and returns an IDBRequest.
+     * @returns {Promise<any>} The result of the request
+     */
+    async withStore(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Creates a key that lets the server recognize a replayed request it already processed.
+     * @returns {string}
+     */
+    createIdempotencyKey() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).substring(2)}`;
+    }
+
+    /**
+     * Serializes a request and stores it at the end of the queue.
+     * @param {Object} request - The method, url, headers, body, targetSelector and element of the request.
+     * @returns {Promise<QueuedRequest>}
+     */
+    async enqueue(request) {
+        const entry = {
+            method: request.method,
+            url: request.url,
+            headers: { ...request.headers },
+            body: this.serializeBody(request.body),
+            credentials: request.credentials,
+            targetSelector: request.targetSelector,
+            queuedAt: Date.now(),
+            attempts: 0,
+        };
+
+        entry.id = await this.withStore('readwrite', store => store.add(entry));
+        this.partial.dispatchEvent('queued', { entry, element: request.element });
+
+        // A network error while the browser reports being online fires no online event later
+        if (navigator.onLine) {
+            this.scheduleReplay();
+        }
+        return entry;
+    }
+
+    /**
+     * Lists the queued requests in replay order.
+     * @returns {Promise<QueuedRequest[]>}
+     */
+    list() {
+        return this.withStore('readonly', store => store.getAll());
+    }
+
+    /**
+     * Removes a queued request without sending it.
+     * @param {number} id
+     * @returns {Promise<void>}
+     */
+    discard(id) {
+        return this.withStore('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Removes all queued requests without sending them.
+     * @returns {Promise<void>}
+     */
+    clear() {
+        return this.withStore('readwrite', store => store.clear());
+    }
+
+    /**
+     * Replays the queued requests in order. Stops at the first request that cannot be sent,
+     * or that fails on the server, so later requests never overtake earlier ones,
+     * and retries it after a growing delay while the browser is online.
+     * @returns {Promise<void>}
+     */
+    async replay() {
+        if (this.replaying || !navigator.onLine) return;
+        this.replaying = true;
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+
+        let stopped = false;
+        try {
+            const entries = await this.list();
+            for (const entry of entries) {
+                const replayed = await this.replayEntry(entry);
+                if (!replayed) {
+                    stopped = true;
+                    break;
+                }
+            }
+        } catch (error) {
+            console.error('Error replaying offline queue', error);
+            stopped = true;
+        } finally {
+            this.replaying = false;
+        }
+
+        if (stopped) {
+            this.scheduleReplay();
+        } else {
+            this.retryCount = 0;
+        }
+    }
+
+    /**
+     * Schedules the next replay, backing off exponentially. Going online replays right away.
+     */
+    scheduleReplay() {
+        if (this.retryTimer || !navigator.onLine) return;
+
+        const delay = Math.min(this.retryDelay * Math.pow(2, this.retryCount), this.maxRetryDelay);
+        this.retryCount++;
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.replay();
+        }, delay);
+    }
+
+    /**
+     * Sends a single queued request and removes it from the queue on success.
+     * @param {QueuedRequest} entry
+     * @returns {Promise<boolean>} Whether the replay can go on with the next request
+     */
+    async replayEntry(entry) {
+        const headers = { ...entry.headers };
+
+        let originPolicy;
+        try {
+            originPolicy = this.partial.checkOrigin(entry.url);
+        } catch (error) {
+            // The origin is no longer allowed, so the request can never be sent
+            await this.discard(entry.id);
+            this.partial.dispatchEvent('replayFailed', { entry, response: null, error, discarded: true });
+            return true;
+        }
+
+        // The token stored with the request may have been rotated in the meantime
+        if (this.partial.csrfToken && headers['X-CSRF-Token']) {
+            headers['X-CSRF-Token'] = typeof this.partial.csrfToken === 'function'
+                ? this.partial.csrfToken()
+                : this.partial.csrfToken;
+        }
+
+        let response;
+        try {
+            response = await fetch(entry.url, {
+                method: entry.method,
+                headers: headers,
+                body: this.deserializeBody(entry.body),
+                credentials: originPolicy.credentials,
+            });
+        } catch (error) {
+            // Still offline, keep the request for the next replay
+            return false;
+        }
+
+        // A client error will not go away by retrying, so the request is dropped to unblock the queue
+        if (response.status >= 400 && response.status < 500 && response.status !== 408 && response.status !== 429) {
+            await this.discard(entry.id);
+            const error = new Error(`HTTP error ${response.status}`);
+            this.partial.dispatchEvent('replayFailed', { entry, response, error, discarded: true });
+            return true;
+        }
+
+        if (!response.ok) {
+            entry.attempts++;
+            entry.lastError = `HTTP error ${response.status}`;
+            await this.withStore('readwrite', store => store.put(entry));
+            this.partial.dispatchEvent('replayFailed', { entry, response, error: new Error(entry.lastError), discarded: false });
+            return false;
+        }
+
+        await this.discard(entry.id);
+        this.partial.dispatchEvent('replayed', { entry, response });
+        return true;
+    }
+
+    /**
+     * Converts a request body into a structure IndexedDB can store. Files and blobs are kept as is.
+     * @param {FormData|URLSearchParams|Blob|string|null} body
+     * @returns {Object|null}
+     */
+    serializeBody(body) {
+        if (body === null || body === undefined) {
+            return null;
+        }
+        if (typeof body === 'string') {
+            return { type: 'text', value: body };
+        }
+        if (body instanceof FormData) {
+            return { type: 'form', entries: Array.from(body.entries()) };
+        }
+        if (body instanceof URLSearchParams) {
+            return { type: 'params', value: body.toString() };
+        }
+        if (body instanceof Blob) {
+            return { type: 'blob', value: body };
+        }
+
+        console.error('Unsupported request body for the offline queue', body);
+        return null;
+    }
+
+    /**
+     * Restores a request body stored by serializeBody.
+     * @param {Object|null} body
+     * @returns {FormData|URLSearchParams|Blob|string|null}
+     */
+    deserializeBody(body) {
+        if (!body) {
+            return null;
+        }
+
+        switch (body.type) {
+            case 'form': {
+                const formData = new FormData();
+                body.entries.forEach(([key, value]) => formData.append(key, value));
+                return formData;
+            }
+            case 'params':
+                return new URLSearchParams(body.value);
+            default:
+                return body.value;
+        }
+    }
+
+    destroy() {
+        window.removeEventListener('online', this.handleOnline);
+        clearTimeout(this.retryTimer);
+    }
+}
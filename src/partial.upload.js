@@ -82,7 +82,10 @@ class PartialUpload {
             const headers = new Headers();
             headers.append('X-Action', 'upload');
 
-            if (this.partial.csrfToken) {
+            // Throws for an origin the partial origin policy does not allow
+            const originPolicy = this.partial.checkOrigin(this.endpoint);
+
+            if (this.partial.csrfToken && originPolicy.trusted) {
                 if (typeof this.partial.csrfToken === 'function') {
                     headers.append('X-CSRF-Token', this.partial.csrfToken());
                 } else {
@@ -93,7 +96,8 @@ class PartialUpload {
             const response = await fetch(this.endpoint, {
                 method: 'POST',
                 body: formData,
-                headers: headers
+                headers: headers,
+                credentials: originPolicy.credentials
             });
 
             if (response.ok) {